@@ -0,0 +1,649 @@
+// Background service worker for Meet Transcription Reminder
+// Forwards keyboard shortcuts (chrome.commands) and notification buttons to the
+// content script of the Meet tab, draws the per-tab toolbar badge, writes the
+// meeting history and delivers integration events
+'use strict';
+
+importScripts('settings.js', 'events.js', 'meeting-history.js');
+
+const MEET_URL_PREFIX = 'https://meet.google.com/';
+
+/**
+ * Content script message sent for each command in manifest.json
+ */
+const COMMAND_MESSAGES = {
+  'start-transcription': { type: 'startNow' },
+  'dismiss-reminder': { type: 'dismissReminder' },
+  'snooze-reminder': { type: 'snoozeReminder' },
+  'focus-reminder': { type: 'focusReminder' }
+};
+
+const NOTIFICATION_PREFIX = 'meet-reminder-';
+
+/**
+ * Content script message sent for each notification button, by button index
+ */
+const NOTIFICATION_BUTTON_MESSAGES = [
+  { type: 'startNow', fromReminder: true },
+  { type: 'dismissReminder' }
+];
+
+/**
+ * Toolbar badge per state reported by the content script
+ * messageKey names the tooltip text, the "none" state clears the badge
+ */
+const BADGES = {
+  waiting: { text: '…', color: '#5f6368', messageKey: 'badgeWaiting' },
+  pending: { text: '?', color: '#1a73e8', messageKey: 'badgePending' },
+  transcribing: { text: '●', color: '#1e8e3e', messageKey: 'badgeTranscribing' },
+  failed: { text: '!', color: '#d93025', messageKey: 'badgeFailed' },
+  declined: { text: '✕', color: '#80868b', messageKey: 'badgeDeclined' }
+};
+
+/**
+ * Run async tasks one at a time, so read-modify-write cycles on a storage key
+ * never overlap
+ */
+function createLock() {
+  let tail = Promise.resolve();
+  return (task) => {
+    const run = tail.then(task);
+    tail = run.catch(() => {});
+    return run;
+  };
+}
+
+/**
+ * Resolve the tab a command applies to, falling back to the active tab
+ */
+function getCommandTab(tab) {
+  if (tab) return Promise.resolve(tab);
+
+  return new Promise((resolve) => {
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => resolve(tabs[0] || null));
+  });
+}
+
+chrome.commands.onCommand.addListener((command, tab) => {
+  const message = COMMAND_MESSAGES[command];
+  if (!message) return;
+
+  getCommandTab(tab).then((target) => {
+    if (!target || !target.url || !target.url.startsWith(MEET_URL_PREFIX)) {
+      console.log('Ignoring command outside Google Meet:', command);
+      return;
+    }
+
+    chrome.tabs.sendMessage(target.id, message, (response) => {
+      if (chrome.runtime.lastError) {
+        console.warn('Command not delivered:', command, chrome.runtime.lastError.message);
+        return;
+      }
+      console.log('Command handled:', command, response);
+    });
+  });
+});
+
+// ============================================
+// SYSTEM NOTIFICATIONS
+// ============================================
+
+// One notification per tab, so its id tells which tab a button click belongs to
+function notificationIdFor(tabId) {
+  return `${NOTIFICATION_PREFIX}${tabId}`;
+}
+
+function tabIdFromNotification(notificationId) {
+  if (!notificationId.startsWith(NOTIFICATION_PREFIX)) return null;
+  return Number(notificationId.slice(NOTIFICATION_PREFIX.length));
+}
+
+function showNotification(tabId, message) {
+  chrome.notifications.create(notificationIdFor(tabId), {
+    type: 'basic',
+    iconUrl: 'icons/icon128.png',
+    title: message.message || chrome.i18n.getMessage('balloonTitle'),
+    message: chrome.i18n.getMessage('notificationMessage'),
+    contextMessage: message.meetingTitle || '',
+    buttons: [
+      { title: chrome.i18n.getMessage('notificationStart') },
+      { title: chrome.i18n.getMessage('notificationDismiss') }
+    ],
+    requireInteraction: true
+  });
+}
+
+// ============================================
+// TOOLBAR BADGE
+// ============================================
+
+/**
+ * Draw the badge for one tab; tab-specific values keep multiple Meet tabs apart
+ */
+function setBadge(tabId, badgeState) {
+  const badge = BADGES[badgeState];
+  const extName = chrome.i18n.getMessage('extName');
+
+  chrome.action.setBadgeText({ tabId, text: badge ? badge.text : '' });
+  chrome.action.setTitle({
+    tabId,
+    title: badge ? `${extName}: ${chrome.i18n.getMessage(badge.messageKey)}` : extName
+  });
+  if (badge) {
+    chrome.action.setBadgeBackgroundColor({ tabId, color: badge.color });
+  }
+}
+
+// Leaving Meet in the same tab doesn't go through the content script
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (changeInfo.url && !changeInfo.url.startsWith(MEET_URL_PREFIX)) {
+    setBadge(tabId, 'none');
+    releaseMeeting(tabId, null);
+    closeOpenHistoryEntry(tabId);
+  }
+});
+
+// ============================================
+// MEETING HISTORY
+// ============================================
+
+// Tabs send their entries here so writes from several tabs (and a handover's
+// old and new owner) can't overwrite each other. The entry each tab still has
+// open is remembered, so closing the tab records the end time: the tab's own
+// save on pagehide rarely gets through.
+const OPEN_HISTORY_KEY = 'openHistoryEntries';
+const withHistory = createLock();
+
+/**
+ * { [tabId]: entryId } of meetings without an end time yet
+ */
+function loadOpenHistoryEntries() {
+  return new Promise((resolve) => {
+    chrome.storage.session.get([OPEN_HISTORY_KEY], (result) => resolve(result[OPEN_HISTORY_KEY] || {}));
+  });
+}
+
+function saveOpenHistoryEntries(open) {
+  return new Promise((resolve) => {
+    chrome.storage.session.set({ [OPEN_HISTORY_KEY]: open }, resolve);
+  });
+}
+
+function saveHistoryEntry(tabId, entry) {
+  return withHistory(async () => {
+    const { historyRetention } = await MeetSettings.load();
+    await MeetHistory.upsert(entry, historyRetention);
+
+    const open = await loadOpenHistoryEntries();
+    if (!entry.endedAt) {
+      open[tabId] = entry.id;
+    } else if (open[tabId] === entry.id) {
+      delete open[tabId];
+    }
+    await saveOpenHistoryEntries(open);
+  });
+}
+
+function closeOpenHistoryEntry(tabId) {
+  return withHistory(async () => {
+    const open = await loadOpenHistoryEntries();
+    if (!open[tabId]) return;
+
+    const id = open[tabId];
+    delete open[tabId];
+    await saveOpenHistoryEntries(open);
+
+    const entries = await MeetHistory.load();
+    const entry = entries.find(existing => existing.id === id);
+    if (entry && !entry.endedAt) {
+      await MeetHistory.update(id, { endedAt: Date.now() });
+    }
+  });
+}
+
+// ============================================
+// INTEGRATION EVENTS
+// ============================================
+
+const EVENT_QUEUE_KEY = 'eventQueue';
+const EVENT_QUEUE_LIMIT = 200; // Oldest events are dropped beyond this
+const EVENT_MAX_ATTEMPTS = 8;
+const EVENT_RETRY_ALARM = 'event-retry';
+const EVENT_RETRY_BASE_DELAY = 30000; // Doubles after every failed attempt; alarms can't fire sooner
+const EVENT_TIMEOUT = 10000;
+
+// An event arriving during a delivery round mustn't be lost when the round
+// writes the queue back
+const withQueue = createLock();
+
+function loadEventQueue() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([EVENT_QUEUE_KEY], (result) => {
+      resolve(Array.isArray(result[EVENT_QUEUE_KEY]) ? result[EVENT_QUEUE_KEY] : []);
+    });
+  });
+}
+
+function saveEventQueue(queue) {
+  return new Promise((resolve) => {
+    chrome.storage.local.set({ [EVENT_QUEUE_KEY]: queue }, resolve);
+  });
+}
+
+/**
+ * Send one event to the configured target
+ * Rejects with a readable message when it wasn't accepted
+ */
+async function deliverEvent(event, settings) {
+  if (settings.integrationTarget === MeetEvents.TARGETS.EXTENSION) {
+    if (!settings.companionExtensionId) {
+      throw new Error('No companion extension ID set');
+    }
+    return new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage(settings.companionExtensionId, event, (response) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+          return;
+        }
+        resolve(response);
+      });
+    });
+  }
+
+  if (!MeetEvents.originPattern(settings.webhookUrl)) {
+    throw new Error('No valid webhook URL set');
+  }
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), EVENT_TIMEOUT);
+  try {
+    const response = await fetch(settings.webhookUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Meet-Reminder-Schema-Version': String(MeetEvents.SCHEMA_VERSION)
+      },
+      body: JSON.stringify(event),
+      signal: controller.signal
+    });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+  } catch (error) {
+    throw error.name === 'AbortError' ? new Error(`No response within ${EVENT_TIMEOUT / 1000}s`) : error;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Wake up for the next retry, or stop waking up once the queue is empty
+ */
+function scheduleEventRetry(queue) {
+  if (queue.length === 0) {
+    chrome.alarms.clear(EVENT_RETRY_ALARM);
+    return;
+  }
+  chrome.alarms.create(EVENT_RETRY_ALARM, { when: queue[0].nextAttemptAt });
+}
+
+/**
+ * Deliver queued events oldest first
+ * A failing event holds back the ones after it, so receivers always see events in
+ * order; it is retried with backoff and dropped after EVENT_MAX_ATTEMPTS
+ */
+function flushEventQueue() {
+  return withQueue(async () => {
+    const [settings, queue] = await Promise.all([MeetSettings.load(), loadEventQueue()]);
+
+    // Turning the integration off discards what hasn't gone out yet
+    if (!settings.integrationEnabled) {
+      if (queue.length > 0) await saveEventQueue([]);
+      scheduleEventRetry([]);
+      return;
+    }
+
+    while (queue.length > 0 && queue[0].nextAttemptAt <= Date.now()) {
+      const [item] = queue;
+      try {
+        await deliverEvent(item.event, settings);
+        queue.shift();
+      } catch (error) {
+        item.attempts += 1;
+        item.lastError = error.message;
+        if (item.attempts >= EVENT_MAX_ATTEMPTS) {
+          console.warn('Dropping event after', item.attempts, 'attempts:', item.event.type, error.message);
+          queue.shift();
+          continue;
+        }
+        item.nextAttemptAt = Date.now() + EVENT_RETRY_BASE_DELAY * 2 ** (item.attempts - 1);
+        console.warn('Event not delivered, retrying later:', item.event.type, error.message);
+        break;
+      }
+    }
+
+    await saveEventQueue(queue);
+    scheduleEventRetry(queue);
+  });
+}
+
+function enqueueEvent(event) {
+  return withQueue(async () => {
+    const queue = await loadEventQueue();
+    queue.push({ event, attempts: 0, nextAttemptAt: 0, lastError: null });
+    await saveEventQueue(queue.slice(-EVENT_QUEUE_LIMIT));
+  }).then(flushEventQueue);
+}
+
+/**
+ * Deliver a test event right away, bypassing the queue, with the target from the
+ * options page (which may not be saved yet)
+ */
+function sendTestEvent(target) {
+  const settings = MeetSettings.normalize(target || {});
+  const event = MeetEvents.create(MeetEvents.TYPES.TEST, null, {});
+  return deliverEvent(event, settings)
+    .then(() => ({ ok: true }))
+    .catch(error => ({ ok: false, error: error.message }));
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === EVENT_RETRY_ALARM) {
+    flushEventQueue();
+  }
+});
+
+chrome.runtime.onStartup.addListener(() => {
+  flushEventQueue();
+});
+
+// ============================================
+// MEETING OWNERSHIP
+// ============================================
+
+// One tab per meeting prompts and activates, so two tabs of the same call never
+// toggle Gemini on and off again. Other tabs wait in line and take over when the
+// owner closes or leaves. Meetings are keyed by code, plus the room name inside a
+// breakout room. Kept in storage.session, since the worker can stop between
+// messages.
+const OWNERS_KEY = 'meetingOwners';
+const withOwners = createLock();
+
+/**
+ * { [meetingKey]: { owner: tabId | null, waiting: [tabId], outcome } }
+ */
+function loadOwners() {
+  return new Promise((resolve) => {
+    chrome.storage.session.get([OWNERS_KEY], (result) => resolve(result[OWNERS_KEY] || {}));
+  });
+}
+
+function saveOwners(owners) {
+  return new Promise((resolve) => {
+    chrome.storage.session.set({ [OWNERS_KEY]: owners }, resolve);
+  });
+}
+
+function tabExists(tabId) {
+  return new Promise((resolve) => {
+    chrome.tabs.get(tabId, tab => resolve(!chrome.runtime.lastError && Boolean(tab)));
+  });
+}
+
+/**
+ * Make a tab the meeting's owner if nobody else is, otherwise put it in line
+ * Companion-mode tabs never own a meeting and never wait for it
+ */
+function claimMeeting(tabId, code, companion) {
+  return withOwners(async () => {
+    const owners = await loadOwners();
+    const record = owners[code] || { owner: null, waiting: [], outcome: null };
+
+    // The worker may have missed onRemoved while it was stopped
+    if (record.owner !== null && record.owner !== tabId && !(await tabExists(record.owner))) {
+      record.owner = null;
+    }
+
+    let owner = false;
+    if (companion) {
+      record.waiting = record.waiting.filter(id => id !== tabId);
+    } else if (record.owner === null || record.owner === tabId) {
+      record.owner = tabId;
+      record.waiting = record.waiting.filter(id => id !== tabId);
+      owner = true;
+    } else if (!record.waiting.includes(tabId)) {
+      record.waiting.push(tabId);
+    }
+
+    if (record.owner !== null || record.waiting.length > 0) {
+      owners[code] = record;
+      await saveOwners(owners);
+    }
+    return { owner };
+  });
+}
+
+/**
+ * Remember how the owner settled the prompt, so the next owner doesn't ask again
+ */
+function recordMeetingOutcome(tabId, code, outcome) {
+  return withOwners(async () => {
+    const owners = await loadOwners();
+    if (owners[code] && owners[code].owner === tabId) {
+      owners[code].outcome = outcome;
+      await saveOwners(owners);
+    }
+  });
+}
+
+/**
+ * Take a tab out of a meeting, or out of every meeting when code is null,
+ * and hand the meetings it owned to the next tab in line
+ */
+function releaseMeeting(tabId, code) {
+  return withOwners(async () => {
+    const owners = await loadOwners();
+    const released = [];
+
+    (code ? [code] : Object.keys(owners)).forEach((meetingCode) => {
+      const record = owners[meetingCode];
+      if (!record) return;
+
+      record.waiting = record.waiting.filter(id => id !== tabId);
+      if (record.owner === tabId) {
+        record.owner = null;
+        released.push(meetingCode);
+      }
+      if (record.owner === null && record.waiting.length === 0) {
+        delete owners[meetingCode];
+      }
+    });
+
+    await saveOwners(owners);
+    return released;
+  }).then(released => Promise.all(released.map(handOverMeeting)));
+}
+
+function grantOwnership(tabId, code, outcome) {
+  return new Promise((resolve) => {
+    chrome.tabs.sendMessage(tabId, { type: 'ownershipGranted', code, outcome }, (response) => {
+      resolve(!chrome.runtime.lastError && Boolean(response && response.accepted));
+    });
+  });
+}
+
+/**
+ * Offer an ownerless meeting to the first waiting tab; a tab that has left the
+ * call in the meantime declines and the offer moves on
+ */
+async function handOverMeeting(code) {
+  const next = await withOwners(async () => {
+    const owners = await loadOwners();
+    const record = owners[code];
+    if (!record || record.owner !== null || record.waiting.length === 0) return null;
+
+    const tabId = record.waiting.shift();
+    record.owner = tabId;
+    await saveOwners(owners);
+    return { tabId, outcome: record.outcome };
+  });
+  if (!next) return;
+
+  console.log('Handing meeting over to tab', next.tabId, code);
+  if (!(await grantOwnership(next.tabId, code, next.outcome))) {
+    await releaseMeeting(next.tabId, code);
+  }
+}
+
+// ============================================
+// CHAT ANNOUNCEMENTS
+// ============================================
+
+// Meeting instances (history entry ids, one per join) the chat announcement
+// went out for, so a watchdog restart or a second start doesn't post it twice.
+// Cleared with the browser session.
+const ANNOUNCED_KEY = 'announcedMeetings';
+const ANNOUNCED_LIMIT = 200;
+const withAnnounced = createLock();
+
+/**
+ * Apply update to the announced list under the lock; update returns { list, response }
+ */
+function updateAnnounced(update) {
+  return withAnnounced(() => new Promise((resolve) => {
+    chrome.storage.session.get([ANNOUNCED_KEY], (result) => {
+      const announced = result[ANNOUNCED_KEY] || [];
+      const { list, response } = update(announced);
+      if (list === announced) {
+        resolve(response);
+        return;
+      }
+      chrome.storage.session.set({ [ANNOUNCED_KEY]: list }, () => resolve(response));
+    });
+  }));
+}
+
+/**
+ * Record the announcement for a meeting instance; resolves { first } for the first claim
+ */
+function claimAnnouncement(instance) {
+  return updateAnnounced((announced) => {
+    if (announced.includes(instance)) {
+      return { list: announced, response: { first: false } };
+    }
+    return { list: announced.concat(instance).slice(-ANNOUNCED_LIMIT), response: { first: true } };
+  });
+}
+
+/**
+ * Forget a claim whose announcement couldn't be posted, so a later start can try again
+ */
+function releaseAnnouncement(instance) {
+  return updateAnnounced(announced => ({
+    list: announced.includes(instance) ? announced.filter(entry => entry !== instance) : announced,
+    response: { released: true }
+  }));
+}
+
+// ============================================
+// EXTENSION MESSAGES
+// ============================================
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (!message) return;
+
+  // From the options page
+  if (message.type === 'sendTestEvent' && sender.url && sender.url.startsWith(chrome.runtime.getURL(''))) {
+    sendTestEvent(message.target).then(sendResponse);
+    return true;
+  }
+
+  if (!sender.tab) return;
+
+  // Commands can be remapped at chrome://extensions/shortcuts, and only this
+  // side can read them; the balloon names the shortcut to screen readers
+  if (message.type === 'getShortcut') {
+    chrome.commands.getAll((commands) => {
+      const command = commands.find(entry => entry.name === message.command);
+      sendResponse({ shortcut: command ? command.shortcut : '' });
+    });
+    return true;
+  }
+
+  if (message.type === 'claimAnnouncement') {
+    claimAnnouncement(message.instance).then(sendResponse);
+    return true;
+  }
+
+  if (message.type === 'releaseAnnouncement') {
+    releaseAnnouncement(message.instance).then(sendResponse);
+    return true;
+  }
+
+  if (message.type === 'claimMeeting') {
+    claimMeeting(sender.tab.id, message.code, message.companion === true).then(sendResponse);
+    return true;
+  }
+
+  if (message.type === 'saveHistoryEntry') {
+    saveHistoryEntry(sender.tab.id, message.entry);
+  } else if (message.type === 'releaseMeeting') {
+    releaseMeeting(sender.tab.id, message.code);
+  } else if (message.type === 'meetingOutcome') {
+    recordMeetingOutcome(sender.tab.id, message.code, message.outcome);
+  } else if (message.type === 'lifecycleEvent') {
+    enqueueEvent(message.event);
+  } else if (message.type === 'showNotification') {
+    showNotification(sender.tab.id, message);
+  } else if (message.type === 'clearNotification') {
+    chrome.notifications.clear(notificationIdFor(sender.tab.id));
+  } else if (message.type === 'setBadge') {
+    setBadge(sender.tab.id, message.state);
+  }
+});
+
+chrome.notifications.onButtonClicked.addListener((notificationId, buttonIndex) => {
+  const tabId = tabIdFromNotification(notificationId);
+  const message = NOTIFICATION_BUTTON_MESSAGES[buttonIndex];
+  if (tabId === null || !message) return;
+
+  chrome.notifications.clear(notificationId);
+  chrome.tabs.sendMessage(tabId, message, (response) => {
+    if (chrome.runtime.lastError) {
+      console.warn('Notification action not delivered:', message.type, chrome.runtime.lastError.message);
+      return;
+    }
+    console.log('Notification action handled:', message.type, response);
+  });
+});
+
+// Clicking the notification body brings the meeting to the front
+chrome.notifications.onClicked.addListener((notificationId) => {
+  const tabId = tabIdFromNotification(notificationId);
+  if (tabId === null) return;
+
+  chrome.notifications.clear(notificationId);
+  chrome.tabs.update(tabId, { active: true }, (tab) => {
+    if (chrome.runtime.lastError || !tab) return;
+    chrome.windows.update(tab.windowId, { focused: true });
+  });
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  chrome.notifications.clear(notificationIdFor(tabId));
+  releaseMeeting(tabId, null);
+  closeOpenHistoryEntry(tabId);
+});
+
+// ============================================
+// SETTINGS MIGRATION
+// ============================================
+
+// Upgrade stored settings once per install or update, so every page reads the current layout
+chrome.runtime.onInstalled.addListener(() => {
+  MeetSettings.migrateStorage().then((migrated) => {
+    if (migrated) {
+      console.log('Settings migrated to version', MeetSettings.SCHEMA_VERSION);
+    }
+  });
+});
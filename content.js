@@ -1,36 +1,414 @@
 // Content Script for Meet Transcription Reminder
 // Detects the pen_spark (Gemini Transcription) trigger and prompts user to enable it
+// Meet-specific selectors and keywords come from the strategy pack (see strategy-pack.js)
 (function () {
     'use strict';
 
     // ============================================
     // CONFIGURATION
     // ============================================
+    // Tunable timings (check interval, trigger wait, action button timeout and the
+    // chain's waits) are settings, see MeetSettings.DEFAULTS and state.settings
     const CONFIG = {
-        ICON_LIGATURE: 'pen_spark',
-        CALL_END_ICON: 'call_end', // Red hangup button - only present in active meeting
-        ACTION_BUTTON_SELECTOR: 'button[jsname="R6SlF"]',
-        CHECK_INTERVAL: 1000,
-        MAX_WAIT_TIME: 120000, // 2 minutes max wait (user might be in waiting room)
-        ACTIVATION_TIMEOUT: 3000, // 3 seconds for action button to appear
+        CHECK_THROTTLE: 250, // Mutation bursts collapse into one check per window
+        STEP_MISS_TTL: 5000, // How long a document-wide miss holds, attribute and text changes need a rescan
+        SCOPED_LOOKUP_LIMIT: 500, // Added nodes a missed step is searched in before a rescan is cheaper
+        URL_POLL_INTERVAL: 1000, // Fallback URL watch where the Navigation API is missing
+        ROOM_POLL_INTERVAL: 2000, // Breakout rooms switch the call without navigating
+        ROOM_STABLE_POLLS: 2, // Polls a new room must hold for, Meet re-renders the label while moving
+        VERIFY_TIMEOUT: 10000, // 10 seconds for Meet to show the transcription indicator
+        RETRY_BASE_DELAY: 2000, // Doubles after every failed attempt
+        MONITOR_INTERVAL: 5000, // How often the meeting monitor looks at call_end and the indicator
+        WATCHDOG_STOP_TICKS: 2, // Consecutive inactive ticks before treating transcription as stopped
+        SNOOZE_MINUTES: [5, 10], // "Remind me in N min" options on the balloon
+        CHAT_TIMEOUT: 3000, // 3 seconds for the chat panel to open
+        MEETING_URL_PATTERN: /^https:\/\/meet\.google\.com\/([a-z]{3}-[a-z]{4}-[a-z]{3})/i,
         BALLOON_ID: 'meet-transcription-reminder-balloon',
-        SHADOW_HOST_ID: 'meet-transcription-reminder-host'
+        SHADOW_HOST_ID: 'meet-transcription-reminder-host',
+        TOAST_HOST_ID: 'meet-transcription-reminder-toast-host'
+    };
+
+    /**
+     * Pack keyword set that identifies each Gemini feature in menus and dialogs
+     */
+    const FEATURE_KEYWORD_SETS = {
+        notes: 'featureNotes',
+        transcript: 'featureTranscript',
+        recording: 'featureRecording'
+    };
+
+    /**
+     * Pack keyword set of the indicator each Gemini feature shows while running
+     */
+    const FEATURE_INDICATOR_SETS = {
+        notes: 'indicatorNotes',
+        transcript: 'indicatorTranscript',
+        recording: 'indicatorRecording'
+    };
+
+    /**
+     * Why an activation attempt failed, reported to the balloon and auto-start mode
+     */
+    const FAILURE_REASONS = {
+        TRIGGER_NOT_FOUND: 'trigger-not-found',
+        ACTION_BUTTON_TIMEOUT: 'action-button-timeout',
+        NOT_CONFIRMED: 'not-confirmed',
+        UNKNOWN: 'unknown'
+    };
+
+    /**
+     * How the transcription prompt ended for the current meeting
+     */
+    const OUTCOMES = {
+        AUTO_STARTED: 'auto-started',
+        ACCEPTED: 'accepted',
+        DECLINED: 'declined',
+        FAILED: 'failed',
+        ALREADY_RUNNING: 'already-running',
+        TIMED_OUT: 'timed-out', // Trigger never showed up within the maxWaitTime setting
+        SKIPPED: 'skipped' // A rule said never
+    };
+
+    /**
+     * Live state of the tab, as reported to the popup
+     */
+    const TAB_STATUSES = {
+        NOT_MEETING: 'not-meeting',
+        WAITING_ROOM: 'waiting-room',
+        ACTIVE: 'active',
+        TRIGGER_FOUND: 'trigger-found',
+        STARTING: 'starting',
+        RUNNING: 'running',
+        FAILED: 'failed',
+        PASSIVE: 'passive' // Another tab or companion mode, see MEETING OWNERSHIP
+    };
+
+    /**
+     * This tab's claim on the meeting, arbitrated by the background worker
+     */
+    const OWNERSHIP = {
+        UNKNOWN: 'unknown', // Not claimed yet
+        PENDING: 'pending', // Claim sent, no answer yet
+        OWNER: 'owner', // Prompts and activates for the meeting
+        PASSIVE: 'passive' // Another tab owns the meeting, or this tab is in companion mode
+    };
+
+    /**
+     * What the toolbar badge shows for this tab, drawn by the background worker
+     */
+    const BADGE_STATES = {
+        NONE: 'none',
+        WAITING: 'waiting', // On a meeting URL, looking for the meeting or the trigger
+        PENDING: 'pending', // Reminder or countdown waiting for the user
+        TRANSCRIBING: 'transcribing',
+        FAILED: 'failed',
+        DECLINED: 'declined'
+    };
+
+    /**
+     * Badge state each outcome leaves the tab in
+     */
+    const OUTCOME_BADGES = {
+        [OUTCOMES.AUTO_STARTED]: BADGE_STATES.TRANSCRIBING,
+        [OUTCOMES.ACCEPTED]: BADGE_STATES.TRANSCRIBING,
+        [OUTCOMES.ALREADY_RUNNING]: BADGE_STATES.TRANSCRIBING,
+        [OUTCOMES.DECLINED]: BADGE_STATES.DECLINED,
+        [OUTCOMES.FAILED]: BADGE_STATES.FAILED,
+        [OUTCOMES.TIMED_OUT]: BADGE_STATES.NONE,
+        [OUTCOMES.SKIPPED]: BADGE_STATES.NONE
+    };
+
+    /**
+     * Integration events each outcome produces, see events.js
+     */
+    const OUTCOME_EVENTS = {
+        [OUTCOMES.AUTO_STARTED]: [MeetEvents.TYPES.TRANSCRIPTION_STARTED],
+        [OUTCOMES.ACCEPTED]: [MeetEvents.TYPES.TRANSCRIPTION_STARTED],
+        [OUTCOMES.ALREADY_RUNNING]: [MeetEvents.TYPES.TRANSCRIPTION_STARTED],
+        [OUTCOMES.DECLINED]: [MeetEvents.TYPES.REMINDER_DECLINED],
+        [OUTCOMES.FAILED]: [MeetEvents.TYPES.TRANSCRIPTION_FAILED]
     };
 
     // ============================================
     // STATE
     // ============================================
     let state = {
+        pack: null, // Active UI strategy pack
+        settings: { ...MeetSettings.DEFAULTS }, // Snapshot for timers that can't wait on storage
         hasProcessed: false,
+        outcome: null,
         observer: null,
         checkInterval: null,
-        startTime: Date.now()
+        checkTimer: null, // Pending coalesced check
+        stepCache: new Map(), // Last document-wide hit per pack step, see findByStep
+        stepMisses: new Map(), // Per pack step: { at, searched } of its last document-wide miss
+        addedNodes: [], // Nodes added since the oldest miss in stepMisses, see trackAdditions
+        additionObserver: null,
+        startTime: Date.now(),
+        isActivating: false,
+        history: null, // History entry of the current meeting
+        memory: {}, // Per meeting key, survives the SPA URL-change reset
+        snoozeTimer: null,
+        notificationShown: false, // A system notification mirrors the balloon
+        balloonRoot: null, // Closed shadow root of the reminder balloon, for keyboard access
+        balloonReturnFocus: null, // Where focus was before the focus shortcut moved it into the balloon
+        countdown: null, // { timer, resolve } of a running auto-start countdown, see removeCountdownToast
+        badge: null, // Last badge state sent to the background worker
+        modeSummary: null, // Last logged mode resolution, see resolveCurrentMode
+        conditionSummary: null, // Last logged participant condition check
+        awaitingParticipants: false, // Trigger found, mode held back by its participant conditions
+        ownership: OWNERSHIP.UNKNOWN,
+        ownedKey: null, // Meeting key the claim was made for, the URL or room may have moved on
+        roomKey: null, // Meeting key the per-meeting state belongs to, see watchRoomChanges
+        pendingRoomKey: null,
+        pendingRoomPolls: 0,
+        monitorInterval: null,
+        watchdog: {
+            enabled: false,
+            wasActive: false,
+            inactiveTicks: 0
+        }
     };
 
+    // Correlates every entry with the meeting (and breakout room) of the tab at the time
+    const log = MeetLogger.create('content', () => getMeetingKey());
+
     // ============================================
     // DOM UTILITIES
     // ============================================
 
+    /**
+     * Run one strategy from the pack against root
+     * "closest" strategies walk up from root, the others search below it
+     * Returns { element, keyword } for the first hit, or null
+     */
+    function runStrategy(strategy, root = document) {
+        switch (strategy.type) {
+            case 'ligature':
+                for (const el of root.querySelectorAll(strategy.selector)) {
+                    if (el.textContent.trim() === strategy.value) {
+                        return { element: el, keyword: null };
+                    }
+                }
+                return null;
+
+            case 'closest': {
+                const element = root.closest(strategy.selector);
+                return element ? { element, keyword: null } : null;
+            }
+
+            case 'keywords': {
+                for (const el of root.querySelectorAll(strategy.selector)) {
+                    const keyword = findKeyword(el, strategy);
+                    if (keyword) {
+                        return { element: el, keyword };
+                    }
+                }
+                return null;
+            }
+
+            default: {
+                const element = root.querySelector(strategy.selector);
+                return element ? { element, keyword: null } : null;
+            }
+        }
+    }
+
+    /**
+     * Keyword of a "keywords" strategy found in the element's attributes or text, or null
+     */
+    function findKeyword(el, strategy) {
+        if (strategy.exclude && el.matches(strategy.exclude)) return null;
+
+        const haystack = [
+            ...(strategy.attributes || []).map(attribute => el.getAttribute(attribute)),
+            strategy.text ? el.textContent : ''
+        ].join(' ').toLowerCase();
+
+        const keywords = MeetStrategyPack.keywordsFor(state.pack, strategy.keywords);
+        return keywords.find(k => haystack.includes(k)) || null;
+    }
+
+    /**
+     * Whether a previous hit would still be found by its strategy, without rescanning
+     */
+    function isStillMatching(match) {
+        const { element, strategy } = match;
+        if (!element.isConnected || !element.matches(strategy.selector)) return false;
+
+        switch (strategy.type) {
+            case 'ligature':
+                return element.textContent.trim() === strategy.value;
+            case 'keywords':
+                return findKeyword(element, strategy) === match.keyword;
+            default:
+                return true;
+        }
+    }
+
+    /**
+     * Try the strategies of a pack step in order, the first hit wins
+     * Returns { element, keyword, strategy, index } or null
+     */
+    function runStep(step, root) {
+        const strategies = state.pack.steps[step] || [];
+        for (let index = 0; index < strategies.length; index++) {
+            const match = runStrategy(strategies[index], root);
+            if (match) {
+                return { ...match, strategy: strategies[index], index };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * The hit runStrategy would report for root itself, which it never looks at
+     */
+    function matchSelf(strategy, element) {
+        if (!element.matches(strategy.selector)) return null;
+
+        switch (strategy.type) {
+            case 'ligature':
+                return element.textContent.trim() === strategy.value ? { element, keyword: null } : null;
+            case 'keywords': {
+                const keyword = findKeyword(element, strategy);
+                return keyword ? { element, keyword } : null;
+            }
+            default:
+                return { element, keyword: null };
+        }
+    }
+
+    /**
+     * Run a pack step against nodes added since it last looked, and nothing else
+     * The added node itself counts too, unlike in querySelectorAll; added text
+     * can only change what its parent matches
+     */
+    function runStepInAdditions(step, nodes) {
+        const strategies = state.pack.steps[step] || [];
+        for (let index = 0; index < strategies.length; index++) {
+            const strategy = strategies[index];
+            if (strategy.type === 'closest') continue;
+
+            for (const node of nodes) {
+                const isElement = node.nodeType === Node.ELEMENT_NODE;
+                const element = isElement ? node : node.parentElement;
+                if (!element || !element.isConnected) continue;
+
+                const match = matchSelf(strategy, element) || (isElement ? runStrategy(strategy, element) : null);
+                if (match) {
+                    return { ...match, strategy, index };
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Try the strategies of a pack step in order, the first hit wins
+     * Document-wide hits are cached and reused while they stay valid, so the
+     * meeting monitor doesn't rescan the whole Meet DOM every tick. After a miss,
+     * each lookup only searches the nodes added since the previous one, until
+     * STEP_MISS_TTL runs out.
+     * Returns { element, keyword, strategy, index } or null
+     */
+    function findByStep(step, root = document) {
+        if (root !== document) return runStep(step, root);
+
+        const cached = state.stepCache.get(step);
+        if (cached && isStillMatching(cached)) return cached;
+        state.stepCache.delete(step);
+
+        // Mutation records are delivered after the current task, pick them up now
+        if (state.additionObserver) {
+            trackAdditions(state.additionObserver.takeRecords());
+        }
+
+        const miss = state.stepMisses.get(step);
+        const recentMiss = miss !== undefined && Date.now() - miss.at < CONFIG.STEP_MISS_TTL;
+        const result = recentMiss
+            ? runStepInAdditions(step, state.addedNodes.slice(miss.searched))
+            : runStep(step, document);
+
+        if (result) {
+            state.stepCache.set(step, result);
+            state.stepMisses.delete(step);
+        } else if (recentMiss) {
+            miss.searched = state.addedNodes.length;
+        } else {
+            if (state.stepMisses.size === 0) {
+                state.addedNodes = [];
+            }
+            state.stepMisses.set(step, { at: Date.now(), searched: state.addedNodes.length });
+        }
+        return result;
+    }
+
+    /**
+     * Remember added nodes while some step has a miss outstanding
+     * Past SCOPED_LOOKUP_LIMIT every miss is dropped, so each step rescans once
+     */
+    function trackAdditions(mutations) {
+        if (state.stepMisses.size === 0) return;
+
+        for (const mutation of mutations) {
+            mutation.addedNodes.forEach(node => state.addedNodes.push(node));
+        }
+        if (state.addedNodes.length > CONFIG.SCOPED_LOOKUP_LIMIT) {
+            state.stepMisses.clear();
+            state.addedNodes = [];
+        }
+    }
+
+    /**
+     * Drop cached hits and misses, e.g. for a new pack or to time real lookups
+     */
+    function forgetStepLookups() {
+        state.stepCache.clear();
+        state.stepMisses.clear();
+        state.addedNodes = [];
+    }
+
+    /**
+     * Keep track of additions for findByStep for as long as the tab lives
+     * Separate from the detection observer, which stops once a meeting is handled
+     */
+    function watchAdditions() {
+        state.additionObserver = new MutationObserver(trackAdditions);
+        state.additionObserver.observe(document.body, { childList: true, subtree: true });
+    }
+
+    /**
+     * Whether an added node could make a step match: the node itself or something
+     * inside it fits one of the step's strategies. Used to skip irrelevant mutations
+     * without scanning the document.
+     */
+    function mayMatchStep(node, step) {
+        const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+        if (!element) return false;
+
+        return (state.pack.steps[step] || []).some((strategy) => {
+            if (strategy.type === 'closest') return false;
+            if (strategy.type === 'ligature') {
+                // Cheap text test first; ligatures are short, exact icon names
+                return node.textContent.includes(strategy.value) &&
+                    (element.matches(strategy.selector) || element.querySelector(strategy.selector) !== null);
+            }
+            return element.matches(strategy.selector) || element.querySelector(strategy.selector) !== null;
+        });
+    }
+
+    /**
+     * Collect every element matched by the selectors of a pack step
+     */
+    function queryAllByStep(step) {
+        const elements = new Set();
+        for (const strategy of state.pack.steps[step] || []) {
+            document.querySelectorAll(strategy.selector).forEach(el => elements.add(el));
+        }
+        return [...elements];
+    }
+
     /**
      * Simulate a full user interaction sequence on an element
      * Dispatches mouseover, mousedown, mouseup, click in rapid succession
@@ -65,9 +443,66 @@
      * Check if current URL is a meeting page (not landing/home page)
      */
     function isMeetingUrl() {
-        const url = window.location.href;
-        const meetingPattern = /^https:\/\/meet\.google\.com\/[a-z]{3}-[a-z]{4}-[a-z]{3}/i;
-        return meetingPattern.test(url);
+        return CONFIG.MEETING_URL_PATTERN.test(window.location.href);
+    }
+
+    /**
+     * Get the meeting code (abc-defg-hij) from the current URL
+     */
+    function getMeetingCode() {
+        const match = window.location.href.match(CONFIG.MEETING_URL_PATTERN);
+        return match ? match[1].toLowerCase() : null;
+    }
+
+    /**
+     * Get the meeting title shown in the Meet UI
+     * Falls back to the tab title, which Meet sets to "Meet - <title>"
+     */
+    function getMeetingTitle() {
+        const match = findByStep('meetingTitle');
+        if (match) {
+            const { element, strategy } = match;
+            const title = (strategy.attribute && element.getAttribute(strategy.attribute)) || element.textContent;
+            if (title && title.trim()) return title.trim();
+        }
+
+        const tabTitle = document.title.replace(/^Meet\s*[-–]\s*/, '').trim();
+        if (!tabTitle || tabTitle === 'Google Meet' || tabTitle.toLowerCase() === getMeetingCode()) {
+            return null;
+        }
+        return tabTitle;
+    }
+
+    /**
+     * Name of the breakout room the user is in, or null in the main call
+     */
+    function getRoomName() {
+        if (!state.pack) return null;
+
+        const match = findByStep('breakoutRoom');
+        if (!match) return null;
+
+        const { element, strategy } = match;
+        const name = (strategy.attribute && element.getAttribute(strategy.attribute)) || element.textContent;
+        return name && name.trim() ? name.trim() : null;
+    }
+
+    /**
+     * Identity of the conference the tab is in: the meeting code, plus the room name
+     * inside a breakout room. Each room counts as a meeting of its own for the
+     * reminder, snoozes, history and tab ownership.
+     */
+    function getMeetingKey() {
+        const code = getMeetingCode();
+        const room = code ? getRoomName() : null;
+        return room ? `${code}/${room}` : code;
+    }
+
+    /**
+     * The meeting as rules, events and the popup see it
+     */
+    function describeMeeting() {
+        return { code: getMeetingCode(), title: getMeetingTitle(), room: getRoomName() };
     }
 
     /**
@@ -77,26 +512,15 @@
      */
     function isMeetingActive() {
         // Look for the red hangup button by its icon text ligature
-        const icons = document.querySelectorAll('i, span');
-        for (const el of icons) {
-            if (el.textContent.trim() === CONFIG.CALL_END_ICON) {
-                return true;
-            }
-        }
-        return false;
+        return findByStep('meetingActive') !== null;
     }
 
     /**
      * Find the pen_spark trigger element (language-agnostic)
      */
     function findTriggerElement() {
-        const iconElements = document.querySelectorAll('i, span');
-        for (const el of iconElements) {
-            if (el.textContent.trim() === CONFIG.ICON_LIGATURE) {
-                return el;
-            }
-        }
-        return null;
+        const match = findByStep('trigger');
+        return match ? match.element : null;
     }
 
     /**
@@ -105,47 +529,123 @@
     function findTriggerContainer(iconElement) {
         if (!iconElement) return null;
 
-        const selectors = [
-            '[jsaction]',
-            '[role="button"]',
-            'button',
-            '[data-is-tooltip-wrapper]'
-        ];
+        const match = findByStep('triggerContainer', iconElement);
+        return match ? match.element : iconElement.parentElement;
+    }
 
-        for (const selector of selectors) {
-            const container = iconElement.closest(selector);
-            if (container) {
-                return container;
-            }
-        }
+    /**
+     * Visible label of a control: its aria-label, the elements it is labelled by,
+     * a wrapping <label>, or failing that the text of its row
+     */
+    function getControlLabel(element) {
+        const labelledBy = (element.getAttribute('aria-labelledby') || '')
+            .split(/\s+/)
+            .map(id => id && document.getElementById(id))
+            .filter(Boolean)
+            .map(el => el.textContent)
+            .join(' ');
+
+        const wrappingLabel = element.closest('label') ||
+            (element.id && document.querySelector(`label[for="${CSS.escape(element.id)}"]`));
+
+        const text = element.getAttribute('aria-label') || labelledBy ||
+            (wrappingLabel && wrappingLabel.textContent) || element.textContent ||
+            (element.parentElement && element.parentElement.textContent) || '';
+        return text.toLowerCase();
+    }
+
+    /**
+     * Features a label mentions, with the longest keyword found for each
+     * A keyword inside a longer one of another feature doesn't count, so the
+     * most specific set wins (e.g. "transcript" within French "transcription")
+     */
+    function matchFeatures(element) {
+        const label = getControlLabel(element);
+        const matches = [];
+        Object.entries(FEATURE_KEYWORD_SETS).forEach(([feature, set]) => {
+            let best = null;
+            MeetStrategyPack.keywordsFor(state.pack, set).forEach((keyword) => {
+                const index = label.indexOf(keyword);
+                if (index >= 0 && (!best || keyword.length > best.keyword.length)) {
+                    best = { feature, keyword, start: index, end: index + keyword.length };
+                }
+            });
+            if (best) matches.push(best);
+        });
+
+        return matches.filter(match => !matches.some(other => other !== match &&
+            other.keyword.length > match.keyword.length && other.start <= match.start && other.end >= match.end));
+    }
+
+    /**
+     * Which Gemini feature a checkbox stands for, or null
+     * A label naming several goes to the one with the most specific keyword
+     */
+    function getFeatureOf(element) {
+        const matches = matchFeatures(element);
+        if (matches.length === 0) return null;
+        return matches.reduce((best, match) => (match.keyword.length > best.keyword.length ? match : best)).feature;
+    }
 
-        return iconElement.parentElement;
+    /**
+     * Wanted features as a list, e.g. ['notes', 'transcript']
+     */
+    function listFeatures(features) {
+        return Object.keys(features || {}).filter(feature => features[feature]);
+    }
+
+    /**
+     * When Meet lists notes, transcript and recording as separate entries, pick
+     * the one covering the most pending features without starting an unwanted
+     * one; null when the menu has no such entries
+     * Resolves { element, features } with every feature the entry starts
+     */
+    function findPreferredActionButton(features, pending) {
+        let best = null;
+        queryAllByStep('actionButton').filter(isElementClickable).forEach((candidate) => {
+            const entryFeatures = matchFeatures(candidate).map(match => match.feature);
+            if (entryFeatures.length === 0 || !entryFeatures.every(feature => features[feature])) return;
+
+            const covered = entryFeatures.filter(feature => pending.includes(feature)).length;
+            if (covered > 0 && (!best || covered > best.covered)) {
+                best = { element: candidate, features: entryFeatures, covered };
+            }
+        });
+        return best && { element: best.element, features: best.features };
     }
 
     /**
      * Find the action button that appears after triggering
+     * features ({ notes, transcript, recording }) picks between separate entries
+     * for the pending ones. Returns { element, features }, features is null for
+     * Meet's single entry, whose dialog checkboxes pick the features instead.
      */
-    function findActionButton() {
-        const button = document.querySelector(CONFIG.ACTION_BUTTON_SELECTOR);
+    function findActionButton(features, pending = listFeatures(features)) {
+        if (features) {
+            const preferred = findPreferredActionButton(features, pending);
+            if (preferred) return preferred;
+        }
+
+        const match = findByStep('actionButton');
 
-        if (!button) return null;
+        if (!match) return null;
 
-        // Robustness check: verify button has expected content
-        const hasProgressBar = button.querySelector('[role="progressbar"]');
-        const buttonText = button.textContent.toLowerCase();
-        const hasExpectedText =
-            buttonText.includes('anota') ||
-            buttonText.includes('note') ||
-            buttonText.includes('transcript') ||
-            buttonText.includes('gemini');
+        const { element: button, strategy } = match;
 
-        if (hasProgressBar || hasExpectedText) {
-            return button;
+        // Robustness check: a selector hit should still carry the expected content
+        if (strategy.type === 'selector' && strategy.keywords) {
+            const hasProgressBar = button.querySelector('[role="progressbar"]');
+            const buttonText = button.textContent.toLowerCase();
+            const hasExpectedText = MeetStrategyPack.keywordsFor(state.pack, strategy.keywords)
+                .some(keyword => buttonText.includes(keyword));
+
+            if (!hasProgressBar && !hasExpectedText) {
+                // Still return if selector matched (UI may change)
+                log.debug('action-button-unverified', 'Button found but content validation uncertain');
+            }
         }
 
-        // Still return if selector matched (UI may change)
-        console.log('[Meet Transcription Reminder] Button found but content validation uncertain');
-        return button;
+        return { element: button, features: null };
     }
 
     /**
@@ -167,11 +667,11 @@
      * Wait for the action button to appear using MutationObserver
      * Returns Promise that resolves with button or rejects on timeout
      */
-    function waitForActionButton(timeout = CONFIG.ACTIVATION_TIMEOUT) {
+    function waitForActionButton(features, pending, timeout = state.settings.activationTimeout) {
         return new Promise((resolve, reject) => {
             // Check if already present
-            const existingButton = findActionButton();
-            if (existingButton && isElementClickable(existingButton)) {
+            const existingButton = findActionButton(features, pending);
+            if (existingButton && isElementClickable(existingButton.element)) {
                 resolve(existingButton);
                 return;
             }
@@ -182,8 +682,8 @@
             }, timeout);
 
             const observer = new MutationObserver((mutations, obs) => {
-                const button = findActionButton();
-                if (button && isElementClickable(button)) {
+                const button = findActionButton(features, pending);
+                if (button && isElementClickable(button.element)) {
                     clearTimeout(timeoutId);
                     obs.disconnect();
                     resolve(button);
@@ -199,34 +699,100 @@
         });
     }
 
+    /**
+     * Find Meet's "Gemini is taking notes / transcribing" indicator
+     */
+    function findTranscriptionIndicator() {
+        const match = findByStep('indicator');
+        return match ? match.element : null;
+    }
+
+    function isTranscriptionActive() {
+        return findTranscriptionIndicator() !== null;
+    }
+
+    /**
+     * Whether Meet's indicator shows this feature running
+     * Packs without the feature's indicatorNotes / indicatorTranscript /
+     * indicatorRecording set fall back to the shared indicator
+     */
+    function isFeatureActive(feature) {
+        const set = FEATURE_INDICATOR_SETS[feature];
+        if (!state.pack.keywords || !state.pack.keywords[set]) return isTranscriptionActive();
+
+        return state.pack.steps.indicator
+            .filter(strategy => strategy.type === 'keywords')
+            .some(strategy => runStrategy({ ...strategy, keywords: set }) !== null);
+    }
+
+    /**
+     * Wait for the transcription indicator to appear
+     * Resolves true once it shows up, false on timeout
+     */
+    function waitForTranscriptionIndicator(timeout = CONFIG.VERIFY_TIMEOUT, isActive = isTranscriptionActive) {
+        return new Promise((resolve) => {
+            if (isActive()) {
+                resolve(true);
+                return;
+            }
+
+            const timeoutId = setTimeout(() => {
+                observer.disconnect();
+                resolve(false);
+            }, timeout);
+
+            const observer = new MutationObserver((mutations, obs) => {
+                if (isActive()) {
+                    clearTimeout(timeoutId);
+                    obs.disconnect();
+                    resolve(true);
+                }
+            });
+
+            observer.observe(document.body, {
+                childList: true,
+                subtree: true,
+                characterData: true,
+                attributes: true,
+                attributeFilter: ['aria-label', 'data-tooltip']
+            });
+        });
+    }
+
     // ============================================
     // TWO-STEP ACTIVATION CHAIN
     // ============================================
 
     /**
-     * Main activation function - implements the two-step chain
-     * 1. Find and trigger the pen_spark element
-     * 2. Wait for the action button to appear
-     * 3. Click the action button
-     * Returns a Promise that resolves when transcription is activated
+     * Create an Error tagged with one of FAILURE_REASONS so callers can report why
      */
-    async function activateTranscription() {
-        console.log('[Meet Transcription Reminder] Starting two-step activation...');
+    function createActivationError(reason, message) {
+        const error = new Error(message);
+        error.reason = reason;
+        return error;
+    }
 
-        // Step 1: Find the trigger element
+    function delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * Step 1 of the chain: find the pen_spark trigger and open the Gemini menu
+     */
+    async function openGeminiMenu() {
         const triggerIcon = findTriggerElement();
         if (!triggerIcon) {
-            throw new Error('Could not find pen_spark trigger element');
+            throw createActivationError(FAILURE_REASONS.TRIGGER_NOT_FOUND, 'Could not find pen_spark trigger element');
         }
 
         const triggerContainer = findTriggerContainer(triggerIcon);
         if (!triggerContainer) {
-            throw new Error('Could not find trigger container');
+            throw createActivationError(FAILURE_REASONS.TRIGGER_NOT_FOUND, 'Could not find trigger container');
         }
 
-        console.log('[Meet Transcription Reminder] Found trigger, simulating interaction...');
+        log.info('chain-trigger', 'Found trigger, simulating interaction...');
 
-        // Step 2: Simulate user interaction on trigger to reveal action button
+        // Simulate user interaction on trigger to reveal action button
         simulateUserInteraction(triggerContainer);
         simulateUserInteraction(triggerIcon);
 
@@ -238,39 +804,156 @@
         }
 
         // Wait for popup to fully render and stabilize
-        console.log('[Meet Transcription Reminder] Waiting for popup to stabilize...');
-        await new Promise(resolve => setTimeout(resolve, 1500));
+        log.debug('chain-wait', 'Waiting for popup to stabilize...');
+        await delay(state.settings.menuDelay);
+    }
+
+    /**
+     * Run the two-step chain once
+     * 1. Find and trigger the pen_spark element
+     * 2. Wait for the action button to appear
+     * 3. Click the action button
+     * 4. Accept the confirmation modal if one shows up
+     * When the menu lists the features as separate entries, the chain repeats
+     * for every wanted feature that isn't running yet, verifying each one.
+     * progress.separateEntries tells retries whether clicking again is safe.
+     */
+    async function runActivationChain(features, progress) {
+        const wanted = listFeatures(features);
+        let pending = isTranscriptionActive() ? wanted.filter(feature => !isFeatureActive(feature)) : wanted;
+
+        do {
+            await openGeminiMenu();
 
-        // Re-find the button in case DOM changed
-        const actionButton = await waitForActionButton();
+            // Re-find the button in case DOM changed
+            let actionButton;
+            try {
+                actionButton = await waitForActionButton(features, pending);
+            } catch (error) {
+                throw createActivationError(FAILURE_REASONS.ACTION_BUTTON_TIMEOUT, error.message);
+            }
 
-        // Step 4: Click the action button using full event simulation
-        // Simple .click() doesn't work on Google Meet buttons - need full event chain
-        console.log('[Meet Transcription Reminder] Found action button, simulating click...');
-        simulateUserInteraction(actionButton);
+            // Step 3: Click the action button using full event simulation
+            // Simple .click() doesn't work on Google Meet buttons - need full event chain
+            log.info('chain-action-button', actionButton.features
+                ? `Found the entry for ${actionButton.features.join(' + ')}, simulating click...`
+                : 'Found action button, simulating click...');
+            simulateUserInteraction(actionButton.element);
 
-        // Wait for click events to complete
-        await new Promise(resolve => setTimeout(resolve, 500));
+            // Wait for click events to complete
+            await delay(state.settings.clickDelay);
 
-        // Step 5: Watch for confirmation modal
-        setTimeout(() => watchForConfirmationModal(), 500);
+            // Step 4: Watch for confirmation modal, matching its feature checkboxes to the settings
+            await watchForConfirmationModal(features);
 
-        return { success: true, button: actionButton };
-    }
+            // One entry for everything: the dialog's checkboxes picked the features
+            if (!actionButton.features) break;
 
-    // ============================================
-    // BALLOON UI (Shadow DOM)
-    // ============================================
+            progress.separateEntries = true;
+            for (const feature of actionButton.features) {
+                if (!await waitForTranscriptionIndicator(CONFIG.VERIFY_TIMEOUT, () => isFeatureActive(feature))) {
+                    throw createActivationError(FAILURE_REASONS.NOT_CONFIRMED, `${feature} indicator never appeared`);
+                }
+                log.info('chain-feature-verified', `${feature} is running`);
+            }
+            pending = pending.filter(feature => !actionButton.features.includes(feature) && !isFeatureActive(feature));
+        } while (pending.length > 0);
+    }
 
     /**
-     * Create and inject the reminder balloon using Shadow DOM for CSS isolation
+     * Main activation function - runs the chain, then verifies that Meet
+     * actually shows its transcription indicator, retrying with backoff
+     * Resolves with { success, attempts } or rejects with an error whose
+     * reason is one of FAILURE_REASONS
      */
-    function createBalloon(targetElement) {
-        removeBalloon();
+    async function activateTranscription() {
+        log.info('activation-start', 'Starting two-step activation...');
 
-        const shadowHost = document.createElement('div');
-        shadowHost.id = CONFIG.SHADOW_HOST_ID;
-        shadowHost.style.cssText = 'position: absolute; z-index: 999999; pointer-events: none;';
+        const settings = await getSettings();
+
+        state.isActivating = true;
+        try {
+            const result = await runActivationAttempts(settings.maxActivationAttempts, MeetSettings.enabledFeatures(settings));
+            if (!result.alreadyRunning) {
+                // Not awaited, the caller shouldn't wait on the chat panel
+                announceTranscription().catch(error => log.error('announce-failed', 'Chat announcement failed', error));
+            }
+            return result;
+        } finally {
+            state.isActivating = false;
+        }
+    }
+
+    /**
+     * Run the chain up to maxActivationAttempts times, verifying after each one
+     */
+    async function runActivationAttempts(maxActivationAttempts, features) {
+        let lastError = null;
+        const progress = { separateEntries: false };
+
+        for (let attempt = 1; attempt <= maxActivationAttempts; attempt++) {
+            // Already running (started by someone else, or a previous attempt worked
+            // after all) - never click again, the same trigger would open the "stop" flow.
+            // Only separate per-feature entries, seen in an earlier attempt, are safe
+            // to click for the features still missing.
+            if (isTranscriptionActive()) {
+                const missing = listFeatures(features).filter(feature => !isFeatureActive(feature));
+                if (attempt === 1 || !progress.separateEntries || missing.length === 0) {
+                    return { success: true, attempts: attempt - 1, alreadyRunning: attempt === 1 };
+                }
+            }
+
+            try {
+                await runActivationChain(features, progress);
+
+                log.debug('activation-verify', 'Verifying transcription started...');
+                if (await waitForTranscriptionIndicator()) {
+                    log.info('activation-verified', `Transcription verified after ${attempt} attempt(s)`);
+                    return { success: true, attempts: attempt };
+                }
+
+                lastError = createActivationError(FAILURE_REASONS.NOT_CONFIRMED, 'Transcription indicator never appeared');
+            } catch (error) {
+                lastError = error.reason ? error : createActivationError(FAILURE_REASONS.UNKNOWN, error.message);
+            }
+
+            log.warn('activation-attempt-failed', `Attempt ${attempt}/${maxActivationAttempts} failed (${lastError.reason})`);
+
+            if (attempt < maxActivationAttempts) {
+                await delay(CONFIG.RETRY_BASE_DELAY * 2 ** (attempt - 1));
+            }
+        }
+
+        throw lastError;
+    }
+
+    /**
+     * Localized, user-facing text for a failed activation
+     */
+    function getFailureMessage(error) {
+        const messageKeys = {
+            [FAILURE_REASONS.TRIGGER_NOT_FOUND]: 'failTriggerNotFound',
+            [FAILURE_REASONS.ACTION_BUTTON_TIMEOUT]: 'failActionButton',
+            [FAILURE_REASONS.NOT_CONFIRMED]: 'failNotConfirmed'
+        };
+        const key = messageKeys[error && error.reason] || 'failUnknown';
+        return chrome.i18n.getMessage(key) || (error && error.message) || 'Error';
+    }
+
+    // ============================================
+    // BALLOON UI (Shadow DOM)
+    // ============================================
+
+    /**
+     * Create and inject the reminder balloon using Shadow DOM for CSS isolation
+     * An optional message replaces the default title, e.g. to report a failed auto-start
+     */
+    function createBalloon(targetElement, message) {
+        removeBalloon();
+
+        const shadowHost = document.createElement('div');
+        shadowHost.id = CONFIG.SHADOW_HOST_ID;
+        shadowHost.style.cssText = 'position: absolute; z-index: 999999; pointer-events: none;';
         document.body.appendChild(shadowHost);
 
         const shadowRoot = shadowHost.attachShadow({ mode: 'closed' });
@@ -289,6 +972,15 @@
         pointer-events: auto;
         animation: fadeIn 0.2s ease-out;
       }
+
+      .sr-only {
+        position: absolute;
+        width: 1px;
+        height: 1px;
+        overflow: hidden;
+        clip: rect(0 0 0 0);
+        white-space: nowrap;
+      }
       
       @keyframes fadeIn {
         from {
@@ -302,7 +994,7 @@
       }
       
       .balloon {
-        background: linear-gradient(135deg, #1a73e8 0%, #1557b0 100%);
+        background: linear-gradient(135deg, #1967d2 0%, #1557b0 100%);
         border-radius: 12px;
         padding: 16px 20px;
         box-shadow: 0 8px 32px rgba(0, 0, 0, 0.4), 
@@ -362,7 +1054,7 @@
       
       .btn-yes {
         background: #ffffff;
-        color: #1a73e8;
+        color: #1967d2;
       }
       
       .btn-yes:hover {
@@ -371,47 +1063,99 @@
       }
       
       .btn-no {
-        background: rgba(255, 255, 255, 0.15);
+        background: rgba(0, 0, 0, 0.15);
         color: #ffffff;
-        border: 1px solid rgba(255, 255, 255, 0.3);
+        border: 1px solid rgba(255, 255, 255, 0.7);
       }
       
       .btn-no:hover {
-        background: rgba(255, 255, 255, 0.25);
+        background: rgba(0, 0, 0, 0.25);
+      }
+
+      .btn:focus-visible,
+      .btn-snooze:focus-visible {
+        outline: 2px solid #ffffff;
+        outline-offset: 2px;
       }
 
       .btn:disabled {
         opacity: 0.6;
         cursor: wait;
       }
+
+      .balloon-snooze {
+        display: flex;
+        align-items: center;
+        gap: 12px;
+      }
+
+      .btn-snooze {
+        background: none;
+        border: none;
+        padding: 0;
+        color: #ffffff;
+        font-size: 12px;
+        font-family: inherit;
+        text-decoration: underline;
+        cursor: pointer;
+      }
+
+      .btn-snooze:hover {
+        text-decoration-thickness: 2px;
+      }
+
+      @media (prefers-reduced-motion: reduce) {
+        .balloon-container {
+          animation: none;
+        }
+
+        .btn {
+          transition: none;
+        }
+
+        .btn-yes:hover {
+          transform: none;
+        }
+      }
     `;
         shadowRoot.appendChild(styles);
 
         // Get localized strings
-        const balloonTitle = chrome.i18n.getMessage('balloonTitle') || 'Start Transcription?';
+        const balloonTitle = message || chrome.i18n.getMessage('balloonTitle') || 'Start Transcription?';
         const btnYesText = chrome.i18n.getMessage('btnYes') || 'Yes';
         const btnNoText = chrome.i18n.getMessage('btnNo') || 'No';
+        const snoozeButtons = CONFIG.SNOOZE_MINUTES.map(minutes => {
+            const label = chrome.i18n.getMessage('btnSnooze', [String(minutes)]) || `Remind me in ${minutes} min`;
+            return `<button class="btn-snooze" data-snooze="${minutes}">${label}</button>`;
+        }).join('');
 
         const balloonContainer = document.createElement('div');
         balloonContainer.className = 'balloon-container';
         balloonContainer.id = CONFIG.BALLOON_ID;
 
+        // A non-modal dialog: it never takes focus by itself, the focus-reminder
+        // shortcut moves focus in and Escape answers "No" and hands focus back
         balloonContainer.innerHTML = `
-      <div class="balloon">
+      <div class="balloon" role="dialog" aria-modal="false" aria-labelledby="balloon-title">
         <div class="balloon-header">
-          <span class="balloon-icon">✨</span>
-          <span class="balloon-title">${balloonTitle}</span>
+          <span class="balloon-icon" aria-hidden="true">✨</span>
+          <span class="balloon-title" id="balloon-title">${balloonTitle}</span>
         </div>
         <div class="balloon-buttons">
           <button class="btn btn-yes" id="btn-yes">${btnYesText}</button>
           <button class="btn btn-no" id="btn-no">${btnNoText}</button>
         </div>
-        <div class="balloon-arrow"></div>
+        <div class="balloon-snooze">${snoozeButtons}</div>
+        <div class="balloon-arrow" aria-hidden="true"></div>
       </div>
+      <div class="sr-only" role="status" aria-live="polite"></div>
     `;
 
         shadowRoot.appendChild(balloonContainer);
+        state.balloonRoot = shadowRoot;
         positionBalloon(balloonContainer, targetElement);
+        emitEvent(MeetEvents.TYPES.REMINDER_SHOWN, { message: message || null });
+        announceBalloon(balloonTitle);
 
         // Event listeners
         const yesBtn = shadowRoot.getElementById('btn-yes');
@@ -419,15 +1163,22 @@
 
         yesBtn.addEventListener('click', async () => {
             yesBtn.disabled = true;
-            yesBtn.textContent = '...';
+            yesBtn.textContent = chrome.i18n.getMessage('balloonStarting') || 'Starting…';
+            // The answer counts even if activation fails afterwards
+            emitEvent(MeetEvents.TYPES.REMINDER_ACCEPTED, {});
 
             try {
-                await activateTranscription();
+                const result = await activateTranscription();
+                setOutcome(result.alreadyRunning ? OUTCOMES.ALREADY_RUNNING : OUTCOMES.ACCEPTED);
                 removeBalloon();
             } catch (error) {
-                console.error('[Meet Transcription Reminder] Activation failed:', error);
-                yesBtn.textContent = 'Erro / Error';
-                setTimeout(removeBalloon, 2000);
+                log.error('activation-failed', `Activation failed: ${error.reason}`, error);
+                setOutcome(OUTCOMES.FAILED, error.reason);
+                const failureMessage = getFailureMessage(error);
+                shadowRoot.getElementById('balloon-title').textContent = failureMessage;
+                shadowRoot.querySelector('[role="status"]').textContent = failureMessage;
+                yesBtn.textContent = chrome.i18n.getMessage('balloonFailedButton') || 'Failed';
+                setTimeout(removeBalloon, 4000);
             }
 
             state.hasProcessed = true;
@@ -435,11 +1186,60 @@
 
         noBtn.addEventListener('click', () => {
             removeBalloon();
+            setOutcome(OUTCOMES.DECLINED);
             state.hasProcessed = true;
         });
 
+        shadowRoot.querySelectorAll('[data-snooze]').forEach((snoozeBtn) => {
+            snoozeBtn.addEventListener('click', () => {
+                removeBalloon();
+                snoozeReminder(Number(snoozeBtn.getAttribute('data-snooze')));
+            });
+        });
+
+        // Keys only reach this while focus is inside the balloon, Meet's own shortcuts are untouched
+        balloonContainer.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape' && !yesBtn.disabled) {
+                event.preventDefault();
+                event.stopPropagation();
+                dismissReminder();
+                return;
+            }
+
+            // Yes, No, then the snooze links; tabbing past either end goes back to
+            // the meeting instead of the browser toolbar behind the body's last node
+            if (event.key === 'Tab' && state.balloonReturnFocus && state.balloonReturnFocus.isConnected) {
+                const buttons = [...shadowRoot.querySelectorAll('button:not(:disabled)')];
+                const edge = event.shiftKey ? buttons[0] : buttons[buttons.length - 1];
+                if (shadowRoot.activeElement === edge) {
+                    event.preventDefault();
+                    state.balloonReturnFocus.focus();
+                }
+            }
+        });
+
+        // Hide after a while without counting it as a "No"
+        getSettings().then(({ balloonAutoHide }) => {
+            if (balloonAutoHide > 0) {
+                setTimeout(() => {
+                    if (shadowHost.isConnected && !yesBtn.disabled) {
+                        log.info('balloon-auto-hidden', 'Reminder auto-hidden');
+                        removeBalloon();
+                        setBadge(BADGE_STATES.NONE);
+                    }
+                }, balloonAutoHide * 1000);
+            }
+        });
+
         window.addEventListener('resize', () => positionBalloon(balloonContainer, targetElement));
 
+        setBadge(BADGE_STATES.PENDING);
+
+        // Nobody sees the balloon in a background tab, so raise a system notification too
+        if (document.hidden) {
+            showSystemNotification(message);
+        }
+
         return shadowHost;
     }
 
@@ -475,203 +1275,1685 @@
         });
     }
 
+    /**
+     * Announce the prompt to screen readers without moving focus
+     * The live region has to be in the page before its text changes, or nothing is read
+     */
+    function announceBalloon(title) {
+        const root = state.balloonRoot;
+        chrome.runtime.sendMessage({ type: 'getShortcut', command: 'focus-reminder' }, (response) => {
+            if (chrome.runtime.lastError || state.balloonRoot !== root) return;
+
+            const shortcut = response && response.shortcut;
+            const hint = shortcut ? chrome.i18n.getMessage('balloonShortcutHint', [shortcut]) : '';
+            root.querySelector('[role="status"]').textContent = [title, hint].filter(Boolean).join(' ');
+        });
+    }
+
+    /**
+     * Move keyboard focus into the balloon, remembering where it came from
+     */
+    function focusReminder() {
+        if (!state.balloonRoot) {
+            return { focused: false };
+        }
+
+        const host = document.getElementById(CONFIG.SHADOW_HOST_ID);
+        if (document.activeElement !== host) {
+            state.balloonReturnFocus = document.activeElement;
+        }
+        state.balloonRoot.getElementById('btn-yes').focus();
+        return { focused: true };
+    }
+
     /**
      * Remove the balloon from DOM
+     * Focus inside it goes back to where it was before the focus shortcut
      */
     function removeBalloon() {
         const host = document.getElementById(CONFIG.SHADOW_HOST_ID);
         if (host) {
+            const hadFocus = document.activeElement === host;
             host.remove();
+
+            const returnFocus = state.balloonReturnFocus;
+            if (hadFocus && returnFocus && returnFocus.isConnected && typeof returnFocus.focus === 'function') {
+                returnFocus.focus();
+            }
         }
+        state.balloonRoot = null;
+        state.balloonReturnFocus = null;
+        clearSystemNotification();
     }
 
     // ============================================
-    // CONFIRMATION MODAL HANDLING
+    // SYSTEM NOTIFICATIONS
     // ============================================
 
     /**
-     * Watch for and handle confirmation modal
+     * Ask the background worker to mirror the reminder as a Chrome notification
+     * Its buttons come back as startNow / dismissReminder messages for this tab
      */
-    function watchForConfirmationModal() {
-        let attempts = 0;
-        const maxAttempts = 10;
-
-        const checkModal = setInterval(() => {
-            attempts++;
+    function showSystemNotification(message) {
+        log.info('notification-shown', 'Tab is hidden, raising a system notification');
+        state.notificationShown = true;
+        chrome.runtime.sendMessage({
+            type: 'showNotification',
+            message: message || null,
+            meetingTitle: getMeetingTitle()
+        }, () => void chrome.runtime.lastError);
+    }
 
-            const modals = document.querySelectorAll('[role="dialog"], [role="alertdialog"], [data-is-dialog]');
+    function clearSystemNotification() {
+        if (!state.notificationShown) return;
 
-            for (const modal of modals) {
-                const style = window.getComputedStyle(modal);
-                if (style.display === 'none' || style.visibility === 'hidden') continue;
+        state.notificationShown = false;
+        chrome.runtime.sendMessage({ type: 'clearNotification' }, () => void chrome.runtime.lastError);
+    }
 
-                const buttons = modal.querySelectorAll('button, [role="button"]');
+    // ============================================
+    // INTEGRATION EVENTS
+    // ============================================
 
-                for (const btn of buttons) {
-                    const text = btn.textContent.toLowerCase().trim();
+    /**
+     * Hand a lifecycle event to the background worker, which queues and delivers it
+     * Nothing leaves the tab while the integration is off
+     */
+    function emitEvent(type, data) {
+        if (!state.settings.integrationEnabled) return;
 
-                    if (text.includes('start') || text.includes('confirm') ||
-                        text.includes('iniciar') || text.includes('confirmar') ||
-                        text.includes('ativar') || text.includes('enable')) {
+        const meeting = describeMeeting();
+        if (state.history) {
+            meeting.title = state.history.title || meeting.title;
+            meeting.room = state.history.room;
+        }
+        log.debug('event-emitted', `Emitting ${type}`, data);
+        chrome.runtime.sendMessage({
+            type: 'lifecycleEvent',
+            event: MeetEvents.create(type, meeting, data)
+        }, () => void chrome.runtime.lastError);
+    }
 
-                        console.log('[Meet Transcription Reminder] Found confirmation button, clicking...');
-                        btn.click();
-                        clearInterval(checkModal);
-                        return;
-                    }
-                }
+    // ============================================
+    // TOOLBAR BADGE
+    // ============================================
 
-                const primaryBtn = modal.querySelector('[data-mdc-dialog-action="accept"], .primary-button, [aria-label*="confirm"], [aria-label*="start"]');
-                if (primaryBtn) {
-                    console.log('[Meet Transcription Reminder] Found primary button, clicking...');
-                    primaryBtn.click();
-                    clearInterval(checkModal);
-                    return;
-                }
-            }
+    /**
+     * Report this tab's badge state to the background worker, which keeps one badge per tab
+     * Only changes are sent, so detection loops can call this freely
+     */
+    function setBadge(badgeState) {
+        if (state.badge === badgeState) return;
 
-            if (attempts >= maxAttempts) {
-                clearInterval(checkModal);
-                console.log('[Meet Transcription Reminder] No confirmation modal found (may not be needed)');
-            }
-        }, 300);
+        state.badge = badgeState;
+        chrome.runtime.sendMessage({ type: 'setBadge', state: badgeState }, () => void chrome.runtime.lastError);
     }
 
     // ============================================
-    // MAIN DETECTION LOGIC
+    // SNOOZE & NUDGE
     // ============================================
 
     /**
-     * Get settings from chrome.storage
+     * Hide the reminder for a few minutes, then show it again
+     * The snooze is kept per meeting key, so it survives URL-change resets
      */
-    function getSettings() {
-        return new Promise((resolve) => {
-            chrome.storage.sync.get(['autoStart'], (result) => {
-                resolve({
-                    autoStart: result.autoStart === true
-                });
-            });
-        });
+    function snoozeReminder(minutes) {
+        log.info('reminder-snoozed', `Reminder snoozed for ${minutes} min`);
+        getMeetingMemory().snoozeUntil = Date.now() + minutes * 60000;
+        scheduleSnoozeReminder();
+        // The reminder comes back on its own, so the tab is waiting again
+        setBadge(BADGE_STATES.WAITING);
+    }
+
+    function isSnoozed() {
+        return getMeetingMemory().snoozeUntil > Date.now();
     }
 
     /**
-     * Main function to check for trigger and take action
+     * (Re)arm the timer that brings the reminder back when the snooze runs out
      */
-    async function checkForTrigger() {
-        if (state.hasProcessed) return;
-
-        // Check 1: URL must be a meeting page
-        if (!isMeetingUrl()) {
-            console.log('[Meet Transcription Reminder] Not on meeting URL, skipping...');
-            return;
-        }
+    function scheduleSnoozeReminder() {
+        clearTimeout(state.snoozeTimer);
 
-        // Check 2: GATEKEEPER - Must be in active meeting (not waiting room)
-        // Wait for the call_end button to appear (indicates user has joined)
-        if (!isMeetingActive()) {
-            console.log('[Meet Transcription Reminder] Waiting room detected, staying dormant...');
-            return; // Keep observing, don't process yet
-        }
+        const key = getMeetingKey();
+        const remaining = Math.max(0, getMeetingMemory().snoozeUntil - Date.now());
 
-        console.log('[Meet Transcription Reminder] Active meeting detected!');
+        state.snoozeTimer = setTimeout(() => {
+            state.snoozeTimer = null;
+            if (getMeetingKey() !== key || !isMeetingActive() || isTranscriptionActive()) return;
 
-        // Find the trigger element (pen_spark icon)
-        const triggerIcon = findTriggerElement();
-        if (!triggerIcon) {
-            if (Date.now() - state.startTime > CONFIG.MAX_WAIT_TIME) {
-                console.log('[Meet Transcription Reminder] Timeout waiting for trigger');
-                cleanup();
+            const triggerContainer = findTriggerContainer(findTriggerElement());
+            if (triggerContainer) {
+                log.info('snooze-over', 'Snooze over, reminding again...');
+                createBalloon(triggerContainer);
             }
-            return;
-        }
-
-        const triggerContainer = findTriggerContainer(triggerIcon);
-        if (!triggerContainer) {
-            console.log('[Meet Transcription Reminder] Found icon but no container');
-            return;
-        }
+        }, remaining);
+    }
 
-        console.log('[Meet Transcription Reminder] Found trigger element!');
+    /**
+     * Escalate once per meeting: if the call has run past nudgeAfterMinutes without
+     * transcription, show the balloon again with the elapsed time
+     */
+    async function checkForNudge() {
+        const memory = getMeetingMemory();
+        if (memory.nudged || !state.history || state.isActivating || isSnoozed()) return;
+        if (document.getElementById(CONFIG.SHADOW_HOST_ID) || document.getElementById(CONFIG.TOAST_HOST_ID)) return;
 
         const settings = await getSettings();
+        if (settings.nudgeAfterMinutes <= 0) return;
 
-        if (settings.autoStart) {
-            // Auto-activate using the two-step chain
-            console.log('[Meet Transcription Reminder] Auto-start enabled, activating...');
-            try {
-                await activateTranscription();
-            } catch (error) {
-                console.error('[Meet Transcription Reminder] Auto-activation failed:', error);
-            }
-        } else {
-            // Show balloon pointing to trigger element
-            console.log('[Meet Transcription Reminder] Showing reminder balloon...');
-            createBalloon(triggerContainer);
-        }
+        const elapsedMinutes = Math.floor((Date.now() - state.history.joinedAt) / 60000);
+        if (elapsedMinutes < settings.nudgeAfterMinutes || isTranscriptionActive()) return;
+        if (resolveCurrentMode(settings) === MeetSettings.MODES.NEVER) return;
 
-        cleanup();
-        state.hasProcessed = true;
-    }
+        const triggerContainer = findTriggerContainer(findTriggerElement());
+        if (!triggerContainer) return;
 
-    /**
-     * Cleanup observers and intervals
-     */
-    function cleanup() {
-        if (state.observer) {
-            state.observer.disconnect();
-            state.observer = null;
-        }
-        if (state.checkInterval) {
-            clearInterval(state.checkInterval);
-            state.checkInterval = null;
-        }
+        memory.nudged = true;
+        log.info('reminder-nudge', `${elapsedMinutes} min without transcription, nudging...`);
+        const nudgeMessage = chrome.i18n.getMessage('balloonNudge', [String(elapsedMinutes)]) ||
+            `${elapsedMinutes} min without transcription. Start now?`;
+        createBalloon(triggerContainer, nudgeMessage);
     }
 
     // ============================================
-    // INITIALIZATION
+    // AUTO-START COUNTDOWN TOAST (Shadow DOM)
     // ============================================
 
-    function init() {
-        console.log('[Meet Transcription Reminder] Initializing...');
+    /**
+     * Show a countdown toast before auto-start fires
+     * Resolves "start" when the countdown runs out or "Start now" is clicked,
+     * "cancel" when the user cancels, and "abort" when the tab moves on (another
+     * meeting or room, the call ends, the tab turns passive) before either
+     */
+    function runAutoStartCountdown(seconds) {
+        return new Promise((resolve) => {
+            removeCountdownToast();
+            setBadge(BADGE_STATES.PENDING);
 
-        if (!isMeetingUrl()) {
-            console.log('[Meet Transcription Reminder] Not on active meeting page');
-            return;
+            const shadowHost = document.createElement('div');
+            shadowHost.id = CONFIG.TOAST_HOST_ID;
+            shadowHost.style.cssText = 'position: absolute; z-index: 999999; pointer-events: none;';
+            document.body.appendChild(shadowHost);
+
+            const shadowRoot = shadowHost.attachShadow({ mode: 'closed' });
+
+            const styles = document.createElement('style');
+            styles.textContent = `
+      * {
+        margin: 0;
+        padding: 0;
+        box-sizing: border-box;
+      }
+
+      .toast {
+        position: fixed;
+        top: 16px;
+        left: 50%;
+        transform: translateX(-50%);
+        pointer-events: auto;
+        display: flex;
+        align-items: center;
+        gap: 16px;
+        padding: 12px 16px;
+        background: linear-gradient(135deg, #1a73e8 0%, #1557b0 100%);
+        border-radius: 12px;
+        box-shadow: 0 8px 32px rgba(0, 0, 0, 0.4),
+                    0 2px 8px rgba(0, 0, 0, 0.2);
+        font-family: 'Google Sans', 'Segoe UI', Roboto, sans-serif;
+        animation: fadeIn 0.2s ease-out;
+      }
+
+      @keyframes fadeIn {
+        from {
+          opacity: 0;
         }
+        to {
+          opacity: 1;
+        }
+      }
 
-        // Set up MutationObserver for trigger detection
-        state.observer = new MutationObserver(() => {
-            if (!state.hasProcessed) {
-                checkForTrigger();
-            }
-        });
+      .toast-text {
+        color: #ffffff;
+        font-size: 14px;
+        font-weight: 500;
+      }
 
-        state.observer.observe(document.body, {
-            childList: true,
-            subtree: true
-        });
+      .btn {
+        padding: 8px 14px;
+        border: none;
+        border-radius: 8px;
+        font-size: 13px;
+        font-weight: 500;
+        cursor: pointer;
+        font-family: inherit;
+        white-space: nowrap;
+      }
 
-        // Backup interval check
-        state.checkInterval = setInterval(checkForTrigger, CONFIG.CHECK_INTERVAL);
+      .btn-start {
+        background: #ffffff;
+        color: #1a73e8;
+      }
 
-        // Initial check
-        setTimeout(checkForTrigger, 1000);
+      .btn-start:hover {
+        background: #e8f0fe;
+      }
 
-        // Listen for URL changes (SPA navigation)
-        let lastUrl = location.href;
-        new MutationObserver(() => {
-            if (location.href !== lastUrl) {
-                lastUrl = location.href;
-                state.hasProcessed = false;
-                state.startTime = Date.now();
-                console.log('[Meet Transcription Reminder] URL changed, resetting...');
+      .btn-cancel {
+        background: rgba(255, 255, 255, 0.15);
+        color: #ffffff;
+        border: 1px solid rgba(255, 255, 255, 0.3);
+      }
 
-                if (isMeetingUrl()) {
-                    setTimeout(checkForTrigger, 2000);
-                }
-            }
-        }).observe(document, { subtree: true, childList: true });
-    }
+      .btn-cancel:hover {
+        background: rgba(255, 255, 255, 0.25);
+      }
+    `;
+            shadowRoot.appendChild(styles);
+
+            const toast = document.createElement('div');
+            toast.className = 'toast';
+            toast.setAttribute('role', 'status');
+
+            const text = document.createElement('span');
+            text.className = 'toast-text';
+
+            const cancelBtn = document.createElement('button');
+            cancelBtn.className = 'btn btn-cancel';
+            cancelBtn.textContent = chrome.i18n.getMessage('btnCancel') || 'Cancel';
+
+            const startBtn = document.createElement('button');
+            startBtn.className = 'btn btn-start';
+            startBtn.textContent = chrome.i18n.getMessage('btnStartNow') || 'Start now';
+
+            toast.append(text, cancelBtn, startBtn);
+            shadowRoot.appendChild(toast);
+
+            let remaining = seconds;
+            const render = () => {
+                text.textContent = chrome.i18n.getMessage('countdownTitle', [String(remaining)]) ||
+                    `Starting Gemini transcription in ${remaining} seconds`;
+            };
+
+            const finish = (choice) => {
+                clearInterval(state.countdown.timer);
+                state.countdown = null;
+                removeCountdownToast();
+                resolve(choice);
+            };
+
+            state.countdown = {
+                timer: setInterval(() => {
+                    remaining--;
+                    if (remaining <= 0) {
+                        finish('start');
+                    } else {
+                        render();
+                    }
+                }, 1000),
+                resolve
+            };
+
+            render();
+            cancelBtn.addEventListener('click', () => finish('cancel'));
+            startBtn.addEventListener('click', () => finish('start'));
+        });
+    }
+
+    /**
+     * Remove the toast; a countdown still running is aborted, it never starts
+     */
+    function removeCountdownToast() {
+        if (state.countdown) {
+            const { timer, resolve } = state.countdown;
+            clearInterval(timer);
+            state.countdown = null;
+            resolve('abort');
+        }
+
+        const host = document.getElementById(CONFIG.TOAST_HOST_ID);
+        if (host) {
+            host.remove();
+        }
+    }
+
+    // ============================================
+    // CONFIRMATION MODAL HANDLING
+    // ============================================
+
+    function isChecked(checkbox) {
+        return checkbox.checked === true || checkbox.getAttribute('aria-checked') === 'true';
+    }
+
+    /**
+     * Tick or untick the dialog's feature checkboxes to match the settings
+     * Checkboxes for unknown features are left alone. Returns how many were clicked.
+     */
+    function applyFeatureChoices(modal, features) {
+        if (!features) return 0;
+
+        const checkboxes = new Set();
+        for (const strategy of state.pack.steps.featureCheckbox || []) {
+            modal.querySelectorAll(strategy.selector).forEach(checkbox => checkboxes.add(checkbox));
+        }
+
+        let toggled = 0;
+        checkboxes.forEach((checkbox) => {
+            const feature = getFeatureOf(checkbox);
+            if (!feature || isChecked(checkbox) === features[feature]) return;
+
+            log.info('feature-toggled', `${features[feature] ? 'Ticking' : 'Unticking'} ${feature}`);
+            checkbox.click();
+            toggled++;
+        });
+        return toggled;
+    }
+
+    /**
+     * Watch for and handle confirmation modal
+     * Resolves true if a confirmation button was clicked, false if none showed up
+     */
+    function watchForConfirmationModal(features) {
+        return new Promise((resolve) => {
+            let attempts = 0;
+            const maxAttempts = 10;
+
+            const checkModal = setInterval(() => {
+                attempts++;
+
+                const modals = queryAllByStep('confirmationDialog');
+
+                for (const modal of modals) {
+                    const style = window.getComputedStyle(modal);
+                    if (style.display === 'none' || style.visibility === 'hidden') continue;
+
+                    const match = findByStep('confirmButton', modal);
+                    if (match) {
+                        clearInterval(checkModal);
+
+                        // Give Meet a moment to re-render toggled checkboxes before confirming
+                        const toggled = applyFeatureChoices(modal, features);
+                        setTimeout(() => {
+                            log.info('confirm-clicked', `Found confirmation button (strategy ${match.index}), clicking...`);
+                            match.element.click();
+                            resolve(true);
+                        }, toggled ? 300 : 0);
+                        return;
+                    }
+                }
+
+                if (attempts >= maxAttempts) {
+                    clearInterval(checkModal);
+                    log.info('confirm-not-found', 'No confirmation modal found (may not be needed)');
+                    resolve(false);
+                }
+            }, 300);
+        });
+    }
+
+    // ============================================
+    // CHAT ANNOUNCEMENT
+    // ============================================
+
+    /**
+     * Wait until a pack step matches, resolving the match or null on timeout
+     */
+    function waitForStep(step, timeout) {
+        return new Promise((resolve) => {
+            const existing = findByStep(step);
+            if (existing) {
+                resolve(existing);
+                return;
+            }
+
+            const timeoutId = setTimeout(() => {
+                observer.disconnect();
+                resolve(null);
+            }, timeout);
+
+            const observer = new MutationObserver((mutations, obs) => {
+                const match = findByStep(step);
+                if (match) {
+                    clearTimeout(timeoutId);
+                    obs.disconnect();
+                    resolve(match);
+                }
+            });
+
+            observer.observe(document.body, { childList: true, subtree: true });
+        });
+    }
+
+    function isControlDisabled(element) {
+        return element.disabled === true ||
+            element.getAttribute('aria-disabled') === 'true' ||
+            element.getAttribute('contenteditable') === 'false';
+    }
+
+    /**
+     * The signed-in user's display name, or null
+     * Account button labels read "Google Account: Name (email)", keep just the name
+     */
+    function getSelfName() {
+        const match = findByStep('selfName');
+        if (!match) return null;
+
+        const { element, strategy } = match;
+        const raw = (strategy.attribute && element.getAttribute(strategy.attribute)) || element.textContent;
+        const name = raw.replace(/^[^:]*:\s*/, '').split(/[\n(]/)[0].trim();
+        return name || null;
+    }
+
+    /**
+     * Replace {time}, {name} and {title} in an announcement template
+     */
+    function fillTemplate(template) {
+        const values = {
+            time: new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }),
+            name: getSelfName() || chrome.i18n.getMessage('chatAnnouncementSomeone') || 'a participant',
+            title: getMeetingTitle() || getRoomName() || getMeetingCode() || ''
+        };
+        return template.replace(/\{(time|name|title)\}/g, (match, key) => values[key]);
+    }
+
+    /**
+     * Put text into the chat box the way typing would, so Meet enables its send button
+     */
+    function typeIntoChat(input, text) {
+        input.focus();
+
+        if (input.tagName === 'TEXTAREA' || input.tagName === 'INPUT') {
+            // Meet tracks the value through its own setter, go through the native one
+            const { set } = Object.getOwnPropertyDescriptor(Object.getPrototypeOf(input), 'value');
+            set.call(input, text);
+            input.dispatchEvent(new Event('input', { bubbles: true }));
+        } else {
+            document.execCommand('insertText', false, text);
+        }
+    }
+
+    /**
+     * Resolves true for the first claim on a meeting instance in this browser session
+     * Without a reply from the worker, the page's own memory has to do
+     */
+    function claimAnnouncement(instance) {
+        return new Promise((resolve) => {
+            chrome.runtime.sendMessage({ type: 'claimAnnouncement', instance }, (response) => {
+                resolve(chrome.runtime.lastError || !response ? true : response.first);
+            });
+        });
+    }
+
+    /**
+     * Give a claim back after the announcement could not be posted
+     */
+    function releaseAnnouncement(instance) {
+        chrome.runtime.sendMessage({ type: 'releaseAnnouncement', instance }, () => void chrome.runtime.lastError);
+    }
+
+    /**
+     * Tell participants that notes are being taken, once each time the user joins
+     * Opens the chat panel if needed and closes it again afterwards; does nothing
+     * when the setting is off or the host has turned in-call chat off
+     */
+    async function announceTranscription() {
+        const settings = await getSettings();
+        if (!settings.chatAnnouncement) return;
+
+        // The history entry identifies this join, so a watchdog restart never posts
+        // again but the same code joined again next week does
+        const instance = state.history ? state.history.id : getMeetingKey();
+        const memory = getMeetingMemory();
+        if (memory.announced === instance) return;
+        memory.announced = instance;
+        if (!await claimAnnouncement(instance)) {
+            log.info('announce-skipped', 'Already announced in this meeting, not posting again');
+            return;
+        }
+
+        let posted = false;
+        try {
+            posted = await postAnnouncement(settings);
+        } finally {
+            // A later start in the same meeting gets another try
+            if (!posted) {
+                memory.announced = false;
+                releaseAnnouncement(instance);
+            }
+        }
+    }
+
+    /**
+     * Type the announcement into the chat and send it; resolves whether it went out
+     */
+    async function postAnnouncement(settings) {
+        let input = findByStep('chatInput');
+        let chatButton = null;
+        if (!input) {
+            chatButton = findByStep('chatButton');
+            if (!chatButton) {
+                log.warn('announce-no-chat-button', 'Chat button not found, cannot announce');
+                return false;
+            }
+            chatButton.element.click();
+            input = await waitForStep('chatInput', CONFIG.CHAT_TIMEOUT);
+        }
+
+        try {
+            if (!input || isControlDisabled(input.element)) {
+                log.info('announce-chat-off', 'In-call chat is turned off or unavailable, not announcing');
+                return false;
+            }
+
+            const template = settings.chatAnnouncementTemplate || chrome.i18n.getMessage('chatAnnouncementDefault');
+            typeIntoChat(input.element, fillTemplate(template));
+            await delay(300);
+
+            const sendButton = findByStep('chatSendButton');
+            if (!sendButton || isControlDisabled(sendButton.element)) {
+                log.warn('announce-no-send-button', 'Send button not found or disabled, announcement not posted');
+                return false;
+            }
+
+            sendButton.element.click();
+            log.info('announced', 'Posted the transcription announcement to the chat');
+            return true;
+        } finally {
+            // Leave the panel the way the user had it
+            if (chatButton) {
+                await delay(500);
+                chatButton.element.click();
+            }
+        }
+    }
+
+    // ============================================
+    // MEETING MONITOR & HISTORY
+    // ============================================
+
+    /**
+     * Start tracking a meeting the user has just joined
+     * Creates its history entry and a slow monitor that notices when call_end disappears
+     */
+    function beginMeeting() {
+        const { code, title, room } = describeMeeting();
+        const joinedAt = Date.now();
+
+        state.history = {
+            id: `${getMeetingKey()}-${joinedAt}`,
+            code,
+            title,
+            room,
+            joinedAt,
+            endedAt: null,
+            outcome: null,
+            reason: null
+        };
+        saveHistoryEntry();
+        emitEvent(MeetEvents.TYPES.MEETING_JOINED, { joinedAt: new Date(joinedAt).toISOString() });
+
+        stopMeetingMonitor();
+        state.monitorInterval = setInterval(monitorTick, CONFIG.MONITOR_INTERVAL);
+    }
+
+    /**
+     * Close the current meeting: record the call-end time and stop monitoring
+     */
+    function endMeeting() {
+        releaseOwnership();
+        removeCountdownToast();
+        stopMeetingMonitor();
+        state.watchdog.enabled = false;
+        setBadge(BADGE_STATES.NONE);
+
+        if (state.history) {
+            log.info('meeting-ended', 'Call ended');
+            state.history.endedAt = Date.now();
+            saveHistoryEntry();
+            emitEvent(MeetEvents.TYPES.MEETING_ENDED, {
+                durationSeconds: Math.round((state.history.endedAt - state.history.joinedAt) / 1000),
+                outcome: state.history.outcome
+            });
+            state.history = null;
+        }
+    }
+
+    function stopMeetingMonitor() {
+        if (state.monitorInterval) {
+            clearInterval(state.monitorInterval);
+            state.monitorInterval = null;
+        }
+    }
+
+    function monitorTick() {
+        if (!isMeetingUrl() || !isMeetingActive()) {
+            // Same URL, so nothing else re-arms detection for a rejoin or "Switch here"
+            log.info('meeting-left', 'Call ended in this tab, watching for a rejoin');
+            resetMeeting();
+            return;
+        }
+
+        // Switched to companion mode mid-call, e.g. to present from a second device
+        if (isCompanionMode()) {
+            log.info('companion-mode', 'Tab switched to companion mode, giving up the meeting');
+            endMeeting();
+            becomePassive();
+            return;
+        }
+
+        if (state.watchdog.enabled) {
+            watchdogTick();
+        }
+
+        if (state.hasProcessed) {
+            checkForNudge();
+        }
+    }
+
+    /**
+     * Record how the prompt ended, in state and in the meeting's history entry
+     */
+    function setOutcome(outcome, reason = null) {
+        state.outcome = outcome;
+        setBadge(OUTCOME_BADGES[outcome]);
+        (OUTCOME_EVENTS[outcome] || []).forEach(type => emitEvent(type, { outcome, reason }));
+
+        // A tab taking over later adopts the outcome instead of asking again
+        if (state.ownership === OWNERSHIP.OWNER) {
+            chrome.runtime.sendMessage({ type: 'meetingOutcome', code: state.ownedKey, outcome },
+                () => void chrome.runtime.lastError);
+        }
+
+        if (state.history) {
+            state.history.outcome = outcome;
+            state.history.reason = reason;
+            state.history.title = state.history.title || getMeetingTitle();
+            saveHistoryEntry();
+        }
+    }
+
+    /**
+     * Hand the entry to the background worker, which serializes history writes
+     * across tabs and records the end time itself if the tab is closed
+     */
+    function saveHistoryEntry() {
+        if (!state.history) return;
+
+        chrome.runtime.sendMessage({ type: 'saveHistoryEntry', entry: { ...state.history } },
+            () => void chrome.runtime.lastError);
+    }
+
+    // ============================================
+    // MEETING OWNERSHIP
+    // ============================================
+
+    // The same meeting can be open in several tabs, or joined a second time in
+    // companion mode. The background worker picks one owner tab per meeting key;
+    // the rest stay passive and the next one in line takes over when the owner
+    // closes or leaves.
+
+    function isCompanionMode() {
+        return findByStep('companionMode') !== null;
+    }
+
+    /**
+     * Ask the background worker whether this tab may prompt for the meeting
+     * Without a reply (e.g. the worker failed to start) the tab acts alone, as before
+     */
+    function requestOwnership() {
+        const key = getMeetingKey();
+        const companion = isCompanionMode();
+        state.ownership = OWNERSHIP.PENDING;
+        state.ownedKey = key;
+
+        chrome.runtime.sendMessage({ type: 'claimMeeting', code: key, companion }, (response) => {
+            const owner = chrome.runtime.lastError || !response ? true : response.owner;
+            // Navigated away while waiting; the release on URL change cleared the claim
+            if (state.ownership !== OWNERSHIP.PENDING || state.ownedKey !== key) return;
+
+            if (owner) {
+                state.ownership = OWNERSHIP.OWNER;
+                log.info('ownership-claimed', 'This tab handles the meeting');
+                scheduleCheck();
+            } else {
+                log.info('ownership-passive', companion
+                    ? 'Companion mode, staying passive'
+                    : 'Meeting is handled in another tab, staying passive');
+                becomePassive();
+            }
+        });
+    }
+
+    /**
+     * Stop detection and prompting; the meeting stays claimable through a handover
+     */
+    function becomePassive() {
+        state.ownership = OWNERSHIP.PASSIVE;
+        state.ownedKey = getMeetingKey();
+        cleanup();
+        removeBalloon();
+        removeCountdownToast();
+        setBadge(BADGE_STATES.NONE);
+    }
+
+    /**
+     * Leave the meeting's line or hand it on, see releaseMeeting in background.js
+     */
+    function releaseOwnership() {
+        if (state.ownership === OWNERSHIP.UNKNOWN) return;
+
+        chrome.runtime.sendMessage({ type: 'releaseMeeting', code: state.ownedKey },
+            () => void chrome.runtime.lastError);
+        state.ownership = OWNERSHIP.UNKNOWN;
+        state.ownedKey = null;
+    }
+
+    /**
+     * The owner tab closed or left; take over unless this tab left the call too
+     * A prompt the previous owner already settled isn't asked again
+     */
+    async function onOwnershipGranted(message) {
+        const stillHere = state.ownership === OWNERSHIP.PASSIVE && message.code === getMeetingKey() &&
+            isMeetingActive() && !isCompanionMode();
+        if (!stillHere) {
+            return { accepted: false };
+        }
+
+        state.ownership = OWNERSHIP.OWNER;
+        state.ownedKey = message.code;
+        log.info('ownership-handover', 'Owner tab went away, taking over the meeting', { outcome: message.outcome });
+        beginMeeting();
+
+        if (!message.outcome) {
+            state.hasProcessed = false;
+            state.startTime = Date.now();
+            startDetection();
+            scheduleCheck();
+            return { accepted: true };
+        }
+
+        state.hasProcessed = true;
+        state.outcome = message.outcome;
+        state.history.outcome = message.outcome;
+        saveHistoryEntry();
+        setBadge(OUTCOME_BADGES[message.outcome]);
+
+        const settings = await getSettings();
+        if (settings.watchdog) {
+            enableWatchdog();
+        }
+        return { accepted: true };
+    }
+
+    // ============================================
+    // TRANSCRIPTION WATCHDOG
+    // ============================================
+
+    /**
+     * Keep an eye on the transcription indicator for the rest of the call
+     * Checked on every meeting monitor tick, which stops once call_end disappears
+     */
+    function enableWatchdog() {
+        state.watchdog.enabled = true;
+        state.watchdog.wasActive = isTranscriptionActive();
+        state.watchdog.inactiveTicks = 0;
+
+        log.info('watchdog-started', 'Watchdog started');
+    }
+
+    function watchdogTick() {
+        // Our own activation or an open balloon means someone is already on it
+        if (state.isActivating || document.getElementById(CONFIG.SHADOW_HOST_ID)) {
+            state.watchdog.inactiveTicks = 0;
+            return;
+        }
+
+        if (isTranscriptionActive()) {
+            state.watchdog.wasActive = true;
+            state.watchdog.inactiveTicks = 0;
+            return;
+        }
+
+        if (!state.watchdog.wasActive) return;
+
+        // The indicator can flicker while Meet re-renders, require it to stay gone
+        state.watchdog.inactiveTicks++;
+        if (state.watchdog.inactiveTicks >= CONFIG.WATCHDOG_STOP_TICKS) {
+            state.watchdog.wasActive = false;
+            state.watchdog.inactiveTicks = 0;
+            onTranscriptionStopped();
+        }
+    }
+
+    /**
+     * Transcription went from active to inactive mid-meeting
+     * Re-prompts or restarts according to the same mode as at join time
+     */
+    async function onTranscriptionStopped() {
+        log.warn('watchdog-stopped', 'Transcription stopped mid-meeting');
+        setBadge(BADGE_STATES.NONE);
+
+        const triggerContainer = findTriggerContainer(findTriggerElement());
+        if (!triggerContainer) {
+            log.warn('watchdog-no-trigger', 'Trigger gone, cannot re-prompt');
+            return;
+        }
+
+        const settings = await getSettings();
+        const stoppedMessage = chrome.i18n.getMessage('balloonStopped') || 'Transcription stopped. Start again?';
+        await applyMode(resolveCurrentMode(settings), triggerContainer, stoppedMessage);
+    }
+
+    // ============================================
+    // PARTICIPANTS
+    // ============================================
+
+    const EMAIL_PATTERN = /[a-z0-9._%+-]+@([a-z0-9-]+(?:\.[a-z0-9-]+)+)/gi;
+
+    /**
+     * Lowercased domains of every email address in a piece of text
+     */
+    function extractDomains(text) {
+        return [...text.matchAll(EMAIL_PATTERN)].map(match => match[1].toLowerCase());
+    }
+
+    /**
+     * Values of every element a step's selectors match: the strategy's attribute
+     * when it names one, the text otherwise
+     */
+    function readStepValues(step) {
+        const values = [];
+        for (const strategy of state.pack.steps[step] || []) {
+            document.querySelectorAll(strategy.selector).forEach((el) => {
+                const value = strategy.attribute ? el.getAttribute(strategy.attribute) : el.textContent;
+                if (value) values.push(value);
+            });
+        }
+        return values;
+    }
+
+    /**
+     * Number of people in the call including you, or null when Meet shows neither
+     * the people counter nor any tiles
+     * Tiles only cover who is on screen, so the larger of the two wins
+     */
+    function getParticipantCount() {
+        let count = null;
+
+        const counter = findByStep('participantCount');
+        if (counter) {
+            const { element, strategy } = counter;
+            const raw = (strategy.attribute && element.getAttribute(strategy.attribute)) || element.textContent;
+            const number = raw.match(/\d+/);
+            if (number) count = Number(number[0]);
+        }
+
+        const tiles = new Set(readStepValues('participant')).size;
+        return tiles > 0 ? Math.max(count || 0, tiles) : count;
+    }
+
+    /**
+     * Who is in the call, as far as the Meet UI tells: { count, domains, selfDomain }
+     * Email domains come from the people panel and hover cards, when Meet shows them
+     */
+    function getParticipants() {
+        const domains = new Set(readStepValues('participantEmail').flatMap(extractDomains));
+        const [selfDomain = null] = readStepValues('selfName').flatMap(extractDomains);
+        domains.delete(selfDomain);
+
+        return { count: getParticipantCount(), domains: [...domains], selfDomain };
+    }
+
+    /**
+     * Whether the people in the call meet the participant conditions of a mode
+     * Runs on every check while they don't, so only changes are logged
+     */
+    function participantConditionsMet(settings, mode) {
+        if (!MeetSettings.MODE_CONDITIONS[mode]) return true;
+
+        const participants = getParticipants();
+        const unmet = MeetSettings.unmetConditions(settings, mode, participants);
+
+        const summary = unmet.join(',');
+        if (summary !== state.conditionSummary) {
+            state.conditionSummary = summary;
+            if (unmet.length > 0) {
+                log.info('conditions-waiting', `Holding back ${mode} until participant conditions hold`, {
+                    unmet,
+                    count: participants.count,
+                    domainsSeen: participants.domains.length
+                });
+            } else if (state.awaitingParticipants) {
+                log.info('conditions-met', `Participant conditions for ${mode} now hold`, { count: participants.count });
+            }
+        }
+        return unmet.length === 0;
+    }
+
+    // ============================================
+    // MAIN DETECTION LOGIC
+    // ============================================
+
+    /**
+     * Get settings from chrome.storage, with managed policies applied
+     */
+    function getSettings() {
+        return MeetSettings.load();
+    }
+
+    /**
+     * Main function to check for trigger and take action
+     */
+    async function checkForTrigger() {
+        if (state.hasProcessed) return;
+
+        // Check 1: URL must be a meeting page
+        if (!isMeetingUrl()) {
+            log.debug('detect-not-meeting', 'Not on meeting URL, skipping...');
+            return;
+        }
+
+        setBadge(BADGE_STATES.WAITING);
+
+        // Check 2: GATEKEEPER - Must be in active meeting (not waiting room)
+        // Wait for the call_end button to appear (indicates user has joined)
+        if (!isMeetingActive()) {
+            log.debug('detect-waiting-room', 'Waiting room detected, staying dormant...');
+            return; // Keep observing, don't process yet
+        }
+
+        log.debug('detect-active', 'Active meeting detected!');
+
+        // Only one tab per meeting prompts; the others stay passive until handed over
+        if (state.ownership !== OWNERSHIP.OWNER) {
+            if (state.ownership === OWNERSHIP.UNKNOWN) {
+                requestOwnership();
+            }
+            return;
+        }
+
+        if (!state.history) {
+            beginMeeting();
+        }
+
+        // Find the trigger element (pen_spark icon)
+        const triggerIcon = findTriggerElement();
+        if (!triggerIcon) {
+            if (Date.now() - state.startTime > state.settings.maxWaitTime * 1000) {
+                log.warn('detect-timeout', 'Timeout waiting for trigger');
+                setOutcome(OUTCOMES.TIMED_OUT);
+                cleanup();
+            }
+            return;
+        }
+
+        const triggerContainer = findTriggerContainer(triggerIcon);
+        if (!triggerContainer) {
+            log.debug('detect-no-container', 'Found icon but no container');
+            return;
+        }
+
+        // Participant conditions can start to hold at any point as people join,
+        // so keep watching instead of deciding once
+        const mode = resolveCurrentMode(state.settings);
+        const conditionsMet = isTranscriptionActive() || participantConditionsMet(state.settings, mode);
+        state.awaitingParticipants = !conditionsMet;
+        if (!conditionsMet) return;
+
+        log.info('detect-trigger', 'Found trigger element!');
+
+        // Claim the meeting before the first await, so overlapping checks from the
+        // observer and the interval can never prompt or click twice
+        cleanup();
+        state.hasProcessed = true;
+
+        const settings = await getSettings();
+
+        // A co-host may have started Gemini already - clicking the trigger again
+        // could open the "stop" flow, so leave it running and stay quiet
+        if (isTranscriptionActive()) {
+            log.info('already-running', 'Transcription already running (started by someone else), skipping');
+            setOutcome(OUTCOMES.ALREADY_RUNNING);
+        } else {
+            await applyMode(mode, triggerContainer);
+        }
+
+        if (settings.watchdog) {
+            enableWatchdog();
+        }
+    }
+
+    /**
+     * Things to remember about the current meeting key across URL-change resets
+     */
+    function getMeetingMemory() {
+        const key = getMeetingKey();
+        if (!state.memory[key]) {
+            // announced holds the history entry id of the join the announcement went out for
+            state.memory[key] = { autoStartCanceled: false, snoozeUntil: 0, nudged: false, announced: false };
+        }
+        return state.memory[key];
+    }
+
+    /**
+     * Resolve the mode for the current meeting from the rules, the schedule and
+     * the global toggle. The schedule is read at join time, so a meeting keeps its
+     * mode when a window closes halfway through.
+     */
+    function resolveCurrentMode(settings) {
+        const meeting = describeMeeting();
+        const joinedAt = state.history ? new Date(state.history.joinedAt) : new Date();
+        const { mode, rule, scheduleEntry } = MeetSettings.resolveMeetingMode(settings, meeting, joinedAt);
+
+        // Resolved on every check while participant conditions hold the mode back
+        const source = rule || scheduleEntry;
+        const summary = [meeting.code, meeting.title, meeting.room, mode, source && source.id].join('|');
+        if (summary !== state.modeSummary) {
+            state.modeSummary = summary;
+            let detail;
+            if (rule) {
+                detail = { field: rule.field, pattern: rule.pattern };
+            } else if (scheduleEntry) {
+                const { days, date, start, end } = scheduleEntry;
+                detail = { schedule: { days, date, start, end } };
+            }
+            const room = meeting.room ? `, room ${meeting.room}` : '';
+            log.info('mode-resolved', `Mode for ${meeting.code} (${meeting.title || 'untitled'}${room}): ${mode}`, detail);
+        }
+
+        return mode;
+    }
+
+    /**
+     * Act on a resolved mode: activate, show the balloon, or stay quiet
+     * promptMessage replaces the balloon title in remind mode
+     */
+    async function applyMode(mode, triggerContainer, promptMessage) {
+        if (mode === MeetSettings.MODES.NEVER) {
+            log.info('mode-never', 'Rule or schedule says never, staying quiet for this meeting');
+            setOutcome(OUTCOMES.SKIPPED);
+        } else if (mode === MeetSettings.MODES.AUTO_START) {
+            const memory = getMeetingMemory();
+            if (memory.autoStartCanceled) {
+                log.info('auto-start-skipped', 'Auto-start was canceled for this meeting, staying quiet');
+                setOutcome(OUTCOMES.DECLINED);
+                return;
+            }
+
+            // Give the user a chance to back out, e.g. on a sensitive call
+            const key = getMeetingKey();
+            const { autoStartCountdown } = await getSettings();
+            if (autoStartCountdown > 0) {
+                log.info('countdown-start', `Auto-start in ${autoStartCountdown}s...`);
+                const choice = await runAutoStartCountdown(autoStartCountdown);
+                if (choice === 'cancel') {
+                    log.info('countdown-canceled', 'Auto-start canceled by user');
+                    memory.autoStartCanceled = true;
+                    setOutcome(OUTCOMES.DECLINED);
+                    return;
+                }
+                if (choice === 'abort') {
+                    log.info('countdown-aborted', 'Countdown aborted, the tab moved on');
+                    return;
+                }
+            }
+
+            // The tab may have moved to another meeting or room, left the call or
+            // handed the meeting to another tab while this waited
+            if (getMeetingKey() !== key || state.ownership !== OWNERSHIP.OWNER || !isMeetingActive()) {
+                log.info('auto-start-stale', 'Meeting changed before auto-start fired, not activating');
+                return;
+            }
+
+            // Auto-activate using the two-step chain
+            log.info('auto-start', 'Auto-start enabled, activating...');
+            try {
+                const result = await activateTranscription();
+                setOutcome(result.alreadyRunning ? OUTCOMES.ALREADY_RUNNING : OUTCOMES.AUTO_STARTED);
+                log.info('auto-start-verified', `Auto-start verified (${result.attempts} attempt(s))`);
+            } catch (error) {
+                log.error('auto-start-failed', `Auto-activation failed: ${error.reason}`, error);
+                setOutcome(OUTCOMES.FAILED, error.reason);
+                // Let the user retry by hand, with the reason in place of the usual prompt
+                createBalloon(triggerContainer, getFailureMessage(error));
+            }
+        } else if (isSnoozed()) {
+            // Snoozed before a URL-change reset - the timer brings the balloon back
+            log.info('reminder-still-snoozed', 'Reminder snoozed, waiting...');
+            scheduleSnoozeReminder();
+        } else {
+            // Show balloon pointing to trigger element
+            log.info('balloon-shown', 'Showing reminder balloon...');
+            createBalloon(triggerContainer, promptMessage);
+        }
+    }
+
+    /**
+     * Cleanup observers and intervals
+     */
+    function cleanup() {
+        if (state.observer) {
+            state.observer.disconnect();
+            state.observer = null;
+        }
+        if (state.checkInterval) {
+            clearInterval(state.checkInterval);
+            state.checkInterval = null;
+        }
+        clearTimeout(state.checkTimer);
+        state.checkTimer = null;
+    }
+
+    // ============================================
+    // DIAGNOSTICS
+    // ============================================
+
+    /**
+     * Attributes kept in DOM excerpts; free-text ones are reduced to the pack
+     * keywords they hold (see sanitizeText)
+     */
+    const EXCERPT_ATTRIBUTES = ['id', 'class', 'role', 'jsname', 'jscontroller', 'type', 'disabled', 'hidden'];
+    const EXCERPT_TEXT_ATTRIBUTES = ['aria-label', 'data-tooltip', 'title'];
+    const EXCERPT_MAX_DEPTH = 4;
+    const EXCERPT_MAX_CHILDREN = 12;
+    const EXCERPT_MAX_LENGTH = 4000;
+
+    /**
+     * Icon ligatures the pack looks for, e.g. "call_end" and "pen_spark"
+     */
+    function getPackLigatures() {
+        return Object.values(state.pack.steps)
+            .flat()
+            .filter(strategy => strategy.type === 'ligature')
+            .map(strategy => strategy.value);
+    }
+
+    /**
+     * Keep only what can't identify anyone: a pack ligature as is, otherwise just
+     * the pack keywords found in the text, e.g. "Sprint review – start notes"
+     * becomes "…start…notes…". Names, titles and chat become "…".
+     */
+    function sanitizeText(text) {
+        const trimmed = text.trim();
+        if (!trimmed) return '';
+        if (getPackLigatures().includes(trimmed)) return trimmed;
+
+        const lower = trimmed.toLowerCase();
+        const found = new Map();
+        Object.keys(state.pack.keywords || {}).forEach((set) => {
+            MeetStrategyPack.keywordsFor(state.pack, set).forEach((keyword) => {
+                const index = lower.indexOf(keyword);
+                if (index >= 0 && !found.has(keyword)) found.set(keyword, index);
+            });
+        });
+
+        const keywords = [...found.keys()].sort((a, b) => found.get(a) - found.get(b));
+        return keywords.length ? `…${keywords.join('…')}…` : '…';
+    }
+
+    function escapeHtml(text) {
+        return text.replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[char]));
+    }
+
+    function sanitizeNode(node, depth) {
+        if (node.nodeType === Node.TEXT_NODE) {
+            return escapeHtml(sanitizeText(node.textContent));
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE) return '';
+
+        const tag = node.tagName.toLowerCase();
+        const attributes = [...node.attributes]
+            .filter(({ name }) => EXCERPT_ATTRIBUTES.includes(name) || EXCERPT_TEXT_ATTRIBUTES.includes(name))
+            .map(({ name, value }) => {
+                const kept = EXCERPT_TEXT_ATTRIBUTES.includes(name) ? sanitizeText(value) : value;
+                return ` ${name}="${escapeHtml(kept)}"`;
+            })
+            .join('');
+
+        if (['script', 'style', 'svg', 'img'].includes(tag)) {
+            return `<${tag}${attributes}></${tag}>`;
+        }
+        if (depth >= EXCERPT_MAX_DEPTH) {
+            return `<${tag}${attributes}>…</${tag}>`;
+        }
+
+        const children = [...node.childNodes];
+        const inner = children.slice(0, EXCERPT_MAX_CHILDREN).map(child => sanitizeNode(child, depth + 1)).join('');
+        const more = children.length > EXCERPT_MAX_CHILDREN ? `<!-- ${children.length - EXCERPT_MAX_CHILDREN} more -->` : '';
+        return `<${tag}${attributes}>${inner}${more}</${tag}>`;
+    }
+
+    /**
+     * Markup around a candidate with personal text stripped, for bug reports
+     * Starts one level up so the excerpt shows the element's siblings too
+     */
+    function getDomExcerpt(element) {
+        const root = element.parentElement || element;
+        const html = sanitizeNode(root, 0);
+        return html.length > EXCERPT_MAX_LENGTH ? `${html.slice(0, EXCERPT_MAX_LENGTH)}…` : html;
+    }
+
+    /**
+     * Time a detection step and describe what it found
+     * find returns a findByStep match, an element, a boolean or null
+     */
+    function diagnoseStep(step, find) {
+        const startedAt = performance.now();
+        const found = find();
+        const durationMs = Math.round((performance.now() - startedAt) * 100) / 100;
+
+        const match = found && found.element ? found : null;
+        const element = match ? match.element : (found instanceof Element ? found : null);
+
+        return {
+            step,
+            matched: Boolean(found),
+            durationMs,
+            strategyIndex: match ? match.index : null,
+            strategyType: match ? match.strategy.type : null,
+            selector: match ? match.strategy.selector : null,
+            keyword: match ? match.keyword : null,
+            clickable: element ? isElementClickable(element) : null,
+            excerpt: element ? getDomExcerpt(element) : null
+        };
+    }
+
+    /**
+     * Dry run of the detection chain: every lookup activation would make, without
+     * dispatching a single click. Returns a report the popup saves as JSON.
+     */
+    function runDiagnostics() {
+        log.info('diagnostics', 'Running diagnostics...');
+
+        // Time real lookups, not cache hits or scoped searches
+        forgetStepLookups();
+
+        let trigger = null;
+        const steps = [
+            diagnoseStep('meetingUrl', isMeetingUrl),
+            diagnoseStep('meetingActive', () => findByStep('meetingActive')),
+            diagnoseStep('trigger', () => {
+                const match = findByStep('trigger');
+                trigger = match ? match.element : null;
+                return match;
+            }),
+            diagnoseStep('triggerContainer', () => trigger && (findByStep('triggerContainer', trigger) || trigger.parentElement)),
+            diagnoseStep('actionButton', () => findByStep('actionButton')),
+            diagnoseStep('confirmationDialog', () => findByStep('confirmationDialog')),
+            diagnoseStep('confirmButton', () => {
+                for (const modal of queryAllByStep('confirmationDialog')) {
+                    const match = findByStep('confirmButton', modal);
+                    if (match) return match;
+                }
+                return null;
+            }),
+            diagnoseStep('indicator', () => findByStep('indicator')),
+            diagnoseStep('participantCount', () => findByStep('participantCount')),
+            diagnoseStep('breakoutRoom', () => findByStep('breakoutRoom'))
+        ];
+
+        // Counts only, domains could identify the organizations in the call
+        const participants = getParticipants();
+
+        return {
+            generatedAt: new Date().toISOString(),
+            extensionVersion: chrome.runtime.getManifest().version,
+            userAgent: navigator.userAgent,
+            language: document.documentElement.lang || navigator.language,
+            pack: { id: state.pack.id, version: state.pack.version },
+            status: getTabStatus(),
+            outcome: state.outcome,
+            participants: {
+                count: participants.count,
+                domainsSeen: participants.domains.length,
+                selfDomainKnown: participants.selfDomain !== null
+            },
+            steps
+        };
+    }
+
+    // ============================================
+    // EXTENSION MESSAGING
+    // ============================================
+
+    /**
+     * Work out the tab's current state from the live DOM
+     */
+    function getTabStatus() {
+        if (!isMeetingUrl() || !state.pack) return TAB_STATUSES.NOT_MEETING;
+        if (!isMeetingActive()) return TAB_STATUSES.WAITING_ROOM;
+        if (state.ownership === OWNERSHIP.PASSIVE) return TAB_STATUSES.PASSIVE;
+        if (state.isActivating) return TAB_STATUSES.STARTING;
+        if (isTranscriptionActive()) return TAB_STATUSES.RUNNING;
+        if (state.outcome === OUTCOMES.FAILED) return TAB_STATUSES.FAILED;
+        if (findTriggerElement()) return TAB_STATUSES.TRIGGER_FOUND;
+        return TAB_STATUSES.ACTIVE;
+    }
+
+    /**
+     * Start transcription on request, regardless of state.hasProcessed
+     * Counts as accepting the reminder when it answers one: the notification's
+     * button, or the shortcut while the balloon is open
+     */
+    async function startNow(message = {}) {
+        if (state.isActivating) {
+            return { success: false, reason: 'busy' };
+        }
+
+        if (message.fromReminder || document.getElementById(CONFIG.SHADOW_HOST_ID)) {
+            emitEvent(MeetEvents.TYPES.REMINDER_ACCEPTED, {});
+        }
+
+        // Take over from automatic detection so it doesn't prompt on top of this
+        if (!state.history && isMeetingActive()) {
+            beginMeeting();
+        }
+        cleanup();
+        state.hasProcessed = true;
+
+        removeBalloon();
+        try {
+            const result = await activateTranscription();
+            setOutcome(result.alreadyRunning ? OUTCOMES.ALREADY_RUNNING : OUTCOMES.ACCEPTED);
+            return { success: true };
+        } catch (error) {
+            log.error('activation-failed', `Activation failed: ${error.reason}`, error);
+            setOutcome(OUTCOMES.FAILED, error.reason);
+            return { success: false, reason: error.reason, message: getFailureMessage(error) };
+        }
+    }
+
+    /**
+     * Show the reminder balloon again, e.g. after it was dismissed
+     */
+    function showReminder() {
+        const triggerContainer = findTriggerContainer(findTriggerElement());
+        if (!triggerContainer) {
+            return { shown: false };
+        }
+
+        createBalloon(triggerContainer);
+        return { shown: true };
+    }
+
+    /**
+     * Close the reminder balloon from a keyboard shortcut
+     * Counts as declining, like the "No" button
+     */
+    function dismissReminder() {
+        if (!document.getElementById(CONFIG.SHADOW_HOST_ID)) {
+            return { dismissed: false };
+        }
+
+        removeBalloon();
+        setOutcome(OUTCOMES.DECLINED);
+        return { dismissed: true };
+    }
+
+    /**
+     * Put the reminder balloon off from a keyboard shortcut
+     * Uses the shortest snooze option and, unlike dismissing, doesn't decline
+     */
+    function snoozeOpenReminder() {
+        if (!document.getElementById(CONFIG.SHADOW_HOST_ID)) {
+            return { snoozed: false };
+        }
+
+        removeBalloon();
+        snoozeReminder(CONFIG.SNOOZE_MINUTES[0]);
+        return { snoozed: true };
+    }
+
+    /**
+     * Handle requests from the popup (status, actions, diagnostics) and the
+     * background worker (keyboard shortcuts, notifications, ownership handover)
+     * Replies asynchronously, so the listener returns true to keep the channel open
+     */
+    function handleMessage(message, sender, sendResponse) {
+        const handlers = {
+            getStatus: () => ({
+                status: getTabStatus(),
+                outcome: state.outcome,
+                meeting: state.pack ? describeMeeting() : { code: getMeetingCode(), title: null, room: null }
+            }),
+            startNow,
+            showReminder,
+            dismissReminder,
+            snoozeReminder: snoozeOpenReminder,
+            focusReminder,
+            runDiagnostics,
+            ownershipGranted: onOwnershipGranted
+        };
+
+        const handler = handlers[message && message.type];
+        if (!handler) return false;
+
+        Promise.resolve()
+            .then(() => state.pack || loadStrategyPack())
+            .then(() => handler(message))
+            .then(sendResponse)
+            .catch((error) => {
+                log.error('message-failed', `Message failed: ${message.type}`, error);
+                sendResponse({ error: error.message });
+            });
+        return true;
+    }
+
+    // ============================================
+    // INITIALIZATION
+    // ============================================
+
+    /**
+     * Run checkForTrigger once per CHECK_THROTTLE window, however many mutations ask for it
+     */
+    function scheduleCheck() {
+        if (state.checkTimer) return;
+
+        state.checkTimer = setTimeout(() => {
+            state.checkTimer = null;
+            checkForTrigger();
+        }, CONFIG.CHECK_THROTTLE);
+    }
+
+    /**
+     * Whether a mutation batch added anything the detection steps look for
+     * Only added nodes are inspected, never the whole document
+     */
+    function hasRelevantAdditions(mutations) {
+        for (const mutation of mutations) {
+            for (const node of mutation.addedNodes) {
+                if (mayMatchStep(node, 'meetingActive') || mayMatchStep(node, 'trigger')) {
+                    return true;
+                }
+                // New tiles and people panel rows, while a mode waits for the right people
+                if (state.awaitingParticipants &&
+                    (mayMatchStep(node, 'participant') || mayMatchStep(node, 'participantEmail'))) {
+                    return true;
+                }
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Watch the page for the trigger until the meeting is handled
+     * Runs on init and again after every URL-change reset
+     */
+    function startDetection() {
+        cleanup();
+
+        // Meet mutates constantly on large calls; only additions that could hold
+        // call_end or the trigger schedule a (coalesced) check
+        state.observer = new MutationObserver((mutations) => {
+            if (!state.hasProcessed && hasRelevantAdditions(mutations)) {
+                scheduleCheck();
+            }
+        });
+
+        state.observer.observe(document.body, {
+            childList: true,
+            subtree: true
+        });
+
+        // Backup interval check, also enforces the maxWaitTime setting
+        state.checkInterval = setInterval(checkForTrigger, state.settings.checkInterval);
+    }
+
+    /**
+     * Reset per-meeting state and re-arm detection, after an SPA navigation, a
+     * move between breakout rooms or the call ending in this tab
+     */
+    function resetMeeting() {
+        endMeeting();
+        // The prompt was for the call or room the tab just left
+        removeBalloon();
+        cleanup();
+        state.hasProcessed = false;
+        state.outcome = null;
+        state.modeSummary = null;
+        state.conditionSummary = null;
+        state.awaitingParticipants = false;
+        state.roomKey = null;
+        state.pendingRoomKey = null;
+        state.startTime = Date.now();
+
+        if (isMeetingUrl() && state.pack) {
+            // Detection was torn down once the previous meeting was handled
+            startDetection();
+            setTimeout(checkForTrigger, 2000);
+        }
+    }
+
+    function onUrlChange() {
+        log.info('url-changed', 'URL changed, resetting...');
+        resetMeeting();
+    }
+
+    /**
+     * Call onUrlChange whenever Meet navigates without a page load
+     * The Navigation API reports same-document navigations to content scripts too;
+     * patching history.pushState wouldn't, it lives in the page's world
+     */
+    function watchUrlChanges() {
+        let lastUrl = location.href;
+        const checkUrl = () => {
+            if (location.href !== lastUrl) {
+                lastUrl = location.href;
+                onUrlChange();
+            }
+        };
+
+        if (window.navigation) {
+            window.navigation.addEventListener('currententrychange', checkUrl);
+        } else {
+            window.addEventListener('popstate', checkUrl);
+            setInterval(checkUrl, CONFIG.URL_POLL_INTERVAL);
+        }
+    }
+
+    /**
+     * Reset when the call moves to another room without navigating, e.g. into or
+     * out of a breakout room. The room is only sampled while the call is up, and
+     * has to hold for a few polls before it counts as a move.
+     */
+    function watchRoomChanges() {
+        setInterval(() => {
+            if (!isMeetingUrl() || !state.pack || !isMeetingActive()) return;
+
+            const key = getMeetingKey();
+            if (state.roomKey === null || key === state.roomKey) {
+                state.roomKey = key;
+                state.pendingRoomKey = null;
+                return;
+            }
+
+            if (key !== state.pendingRoomKey) {
+                state.pendingRoomKey = key;
+                state.pendingRoomPolls = 0;
+            }
+            if (++state.pendingRoomPolls < CONFIG.ROOM_STABLE_POLLS) return;
+
+            log.info('room-changed', `Moved from ${state.roomKey} to ${key}, resetting...`);
+            resetMeeting();
+            state.roomKey = key;
+        }, CONFIG.ROOM_POLL_INTERVAL);
+    }
+
+    /**
+     * Refresh the settings snapshot; a running backup interval restarts at the new rate
+     */
+    function onSettingsChanged(settings) {
+        const intervalChanged = settings.checkInterval !== state.settings.checkInterval;
+        state.settings = settings;
+
+        if (intervalChanged && state.checkInterval) {
+            clearInterval(state.checkInterval);
+            state.checkInterval = setInterval(checkForTrigger, settings.checkInterval);
+        }
+    }
+
+    /**
+     * Load the active strategy pack into state
+     */
+    async function loadStrategyPack() {
+        const { pack, source } = await MeetStrategyPack.load();
+        state.pack = pack;
+        forgetStepLookups();
+        log.info('pack-loaded', `Using ${source} strategy pack ${pack.id} ${pack.version}`);
+    }
+
+    async function init() {
+        log.debug('init', 'Initializing...');
+
+        // Registered before the meeting check, so joining from the landing page works
+        watchUrlChanges();
+        watchRoomChanges();
+        watchAdditions();
+
+        // Closing the tab ends the call too
+        window.addEventListener('pagehide', endMeeting);
+
+        // Back in the tab the balloon is visible again, the notification is redundant
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden) {
+                clearSystemNotification();
+            }
+        });
+
+        try {
+            await loadStrategyPack();
+        } catch (error) {
+            log.error('pack-load-failed', 'Could not load strategy pack', error);
+            return;
+        }
+
+        state.settings = await getSettings();
+
+        // Hot-swap the pack when an override is loaded or removed from the options page,
+        // and pick up timing changes from the options page or an imported configuration
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName === 'local' && changes[MeetStrategyPack.OVERRIDE_KEY]) {
+                loadStrategyPack().catch(error => {
+                    log.error('pack-reload-failed', 'Could not reload strategy pack', error);
+                });
+            }
+            if (MeetSettings.affectsSettings(changes, areaName)) {
+                getSettings().then(onSettingsChanged);
+            }
+        });
+
+        if (!isMeetingUrl()) {
+            log.debug('init-not-meeting', 'Not on active meeting page');
+            return;
+        }
+
+        startDetection();
+
+        // Initial check
+        setTimeout(checkForTrigger, 1000);
+    }
+
+    chrome.runtime.onMessage.addListener(handleMessage);
 
     // Start when DOM is ready
     if (document.readyState === 'loading') {
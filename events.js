@@ -0,0 +1,79 @@
+// Lifecycle events for Meet Transcription Reminder
+// The content script describes what happened in a meeting as versioned events; the
+// background worker queues them and delivers them to the configured integration
+// (a webhook URL or a companion extension), see background.js
+(function (global) {
+  'use strict';
+
+  /**
+   * Version of the event payload. Bump it whenever a field changes meaning or
+   * goes away; new optional fields don't need a bump
+   */
+  const SCHEMA_VERSION = 1;
+
+  const SOURCE = 'meet-transcription-reminder';
+
+  const TYPES = {
+    MEETING_JOINED: 'meeting.joined',
+    REMINDER_SHOWN: 'reminder.shown',
+    REMINDER_ACCEPTED: 'reminder.accepted',
+    REMINDER_DECLINED: 'reminder.declined',
+    TRANSCRIPTION_STARTED: 'transcription.started',
+    TRANSCRIPTION_FAILED: 'transcription.failed',
+    MEETING_ENDED: 'meeting.ended',
+    TEST: 'test'
+  };
+
+  /**
+   * Where events go, stored in the integrationTarget setting
+   */
+  const TARGETS = {
+    WEBHOOK: 'webhook',
+    EXTENSION: 'extension'
+  };
+
+  function createEventId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+  }
+
+  /**
+   * Build an event
+   * meeting: { code, title, room } or null, data: type-specific details
+   * room is the breakout room name, null in the main call
+   */
+  function create(type, meeting, data = {}) {
+    return {
+      schemaVersion: SCHEMA_VERSION,
+      id: createEventId(),
+      type,
+      occurredAt: new Date().toISOString(),
+      source: { name: SOURCE, version: chrome.runtime.getManifest().version },
+      meeting: meeting
+        ? { code: meeting.code || null, title: meeting.title || null, room: meeting.room || null }
+        : null,
+      data
+    };
+  }
+
+  /**
+   * Origin pattern to request host access for, e.g. "http://localhost:8080/*"
+   * Returns null for anything but an http(s) URL
+   */
+  function originPattern(url) {
+    try {
+      const parsed = new URL(url);
+      if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return null;
+      return `${parsed.protocol}//${parsed.hostname}/*`;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  global.MeetEvents = {
+    SCHEMA_VERSION,
+    TYPES,
+    TARGETS,
+    create,
+    originPattern
+  };
+})(globalThis);
@@ -0,0 +1,21 @@
+// File downloads for Meet Transcription Reminder
+// Shared by the popup and the extension pages
+(function (global) {
+  'use strict';
+
+  /**
+   * Save content as a file through a temporary object URL
+   */
+  function download(filename, type, content) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  global.MeetFiles = {
+    download
+  };
+})(globalThis);
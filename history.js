@@ -0,0 +1,165 @@
+// Meeting history viewer for Meet Transcription Reminder
+(function () {
+  'use strict';
+
+  const searchInput = document.getElementById('searchInput');
+  const outcomeFilter = document.getElementById('outcomeFilter');
+  const historyRows = document.getElementById('historyRows');
+  const emptyState = document.getElementById('emptyState');
+  const summary = document.getElementById('summary');
+  const exportCsvBtn = document.getElementById('exportCsvBtn');
+  const exportJsonBtn = document.getElementById('exportJsonBtn');
+  const clearBtn = document.getElementById('clearBtn');
+
+  const NO_OUTCOME = 'none';
+
+  let entries = [];
+
+  function outcomeLabel(outcome) {
+    return chrome.i18n.getMessage(MeetHistory.outcomeMessageKey(outcome || NO_OUTCOME)) || outcome;
+  }
+
+  function formatDuration(entry) {
+    if (!entry.endedAt) return '—';
+    const minutes = Math.max(1, Math.round((entry.endedAt - entry.joinedAt) / 60000));
+    return chrome.i18n.getMessage('historyMinutes', [String(minutes)]);
+  }
+
+  function populateOutcomeFilter() {
+    const options = [['', chrome.i18n.getMessage('historyAllOutcomes')]]
+      .concat(MeetHistory.OUTCOMES.map(outcome => [outcome, outcomeLabel(outcome)]))
+      .concat([[NO_OUTCOME, outcomeLabel(NO_OUTCOME)]]);
+
+    options.forEach(([value, label]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      outcomeFilter.appendChild(option);
+    });
+  }
+
+  /**
+   * Entries matching the search text (code, title or breakout room) and the outcome filter
+   */
+  function getFilteredEntries() {
+    const query = searchInput.value.trim().toLowerCase();
+    const outcome = outcomeFilter.value;
+
+    return entries.filter((entry) => {
+      if (outcome && (entry.outcome || NO_OUTCOME) !== outcome) return false;
+      if (!query) return true;
+      return `${entry.code} ${entry.title || ''} ${entry.room || ''}`.toLowerCase().includes(query);
+    });
+  }
+
+  function createCell(className, text) {
+    const cell = document.createElement('td');
+    if (className) cell.className = className;
+    if (text !== undefined) cell.textContent = text;
+    return cell;
+  }
+
+  function render() {
+    const filtered = getFilteredEntries();
+    historyRows.textContent = '';
+
+    filtered.forEach((entry) => {
+      const row = document.createElement('tr');
+
+      const meetingCell = createCell();
+      const title = document.createElement('div');
+      title.textContent = entry.title || '—';
+      const code = document.createElement('div');
+      code.className = 'code';
+      code.textContent = entry.room ? `${entry.code} · ${entry.room}` : entry.code;
+      meetingCell.append(title, code);
+
+      const outcomeCell = createCell();
+      const badge = document.createElement('span');
+      badge.className = `outcome outcome-${entry.outcome || NO_OUTCOME}`;
+      badge.textContent = outcomeLabel(entry.outcome);
+      outcomeCell.appendChild(badge);
+      if (entry.reason) {
+        const reason = document.createElement('div');
+        reason.className = 'reason';
+        reason.textContent = entry.reason;
+        outcomeCell.appendChild(reason);
+      }
+
+      row.append(
+        createCell('', new Date(entry.joinedAt).toLocaleString()),
+        createCell('', formatDuration(entry)),
+        meetingCell,
+        outcomeCell
+      );
+      historyRows.appendChild(row);
+    });
+
+    emptyState.style.display = filtered.length ? 'none' : 'block';
+    summary.textContent = chrome.i18n.getMessage('historySummary', [String(filtered.length), String(entries.length)]);
+  }
+
+  function toIso(timestamp) {
+    return timestamp ? new Date(timestamp).toISOString() : '';
+  }
+
+  function csvEscape(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  function toCsv(list) {
+    const header = ['code', 'title', 'joinedAt', 'endedAt', 'durationMinutes', 'outcome', 'reason', 'room'];
+    const rows = list.map(entry => [
+      entry.code,
+      entry.title,
+      toIso(entry.joinedAt),
+      toIso(entry.endedAt),
+      entry.endedAt ? Math.round((entry.endedAt - entry.joinedAt) / 60000) : '',
+      entry.outcome,
+      entry.reason,
+      entry.room
+    ].map(csvEscape).join(','));
+    return [header.join(','), ...rows].join('\n');
+  }
+
+  function exportName(extension) {
+    return `meet-history-${new Date().toISOString().slice(0, 10)}.${extension}`;
+  }
+
+  function loadEntries() {
+    MeetHistory.load().then((loaded) => {
+      entries = loaded;
+      render();
+    });
+  }
+
+  // Initialize localization
+  localize();
+  populateOutcomeFilter();
+  loadEntries();
+
+  searchInput.addEventListener('input', render);
+  outcomeFilter.addEventListener('change', render);
+
+  exportCsvBtn.addEventListener('click', () => {
+    MeetFiles.download(exportName('csv'), 'text/csv', toCsv(getFilteredEntries()));
+  });
+
+  exportJsonBtn.addEventListener('click', () => {
+    MeetFiles.download(exportName('json'), 'application/json', JSON.stringify(getFilteredEntries(), null, 2));
+  });
+
+  clearBtn.addEventListener('click', () => {
+    if (confirm(chrome.i18n.getMessage('historyClearConfirm'))) {
+      MeetHistory.clear().then(loadEntries);
+    }
+  });
+
+  // Keep the table current while meetings are running in other tabs
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[MeetHistory.STORAGE_KEY]) {
+      loadEntries();
+    }
+  });
+})();
@@ -0,0 +1,29 @@
+// Page localization for Meet Transcription Reminder
+// Shared by the popup and the extension pages
+(function (global) {
+  'use strict';
+
+  /**
+   * Localize all elements with data-i18n attribute
+   * data-i18n-placeholder localizes the placeholder of inputs the same way
+   */
+  function localize(root = document) {
+    const elements = root.querySelectorAll('[data-i18n]');
+    elements.forEach(element => {
+      const key = element.getAttribute('data-i18n');
+      const message = chrome.i18n.getMessage(key);
+      if (message) {
+        element.textContent = message;
+      }
+    });
+
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+      const message = chrome.i18n.getMessage(element.getAttribute('data-i18n-placeholder'));
+      if (message) {
+        element.placeholder = message;
+      }
+    });
+  }
+
+  global.localize = localize;
+})(globalThis);
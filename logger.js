@@ -0,0 +1,146 @@
+// Structured logging for Meet Transcription Reminder
+// Every entry carries a level, an event code and the meeting code it belongs to.
+// Entries from info up are kept in a ring buffer in chrome.storage.local for the
+// log viewer; the logLevel setting decides what also reaches the console.
+(function (global) {
+  'use strict';
+
+  const STORAGE_KEY = 'logBuffer';
+  const MAX_ENTRIES = 500;
+  const FLUSH_DELAY = 1000; // Batch writes, detection can log several lines per second
+  const PREFIX = '[Meet Transcription Reminder]';
+
+  /**
+   * Entry levels, lowest first
+   */
+  const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+  // Debug lines come from polling loops and would flush everything else out of the buffer
+  const PERSIST_LEVEL = 'info';
+
+  const CONSOLE_METHODS = {
+    debug: 'debug',
+    info: 'log',
+    warn: 'warn',
+    error: 'error'
+  };
+
+  let consoleLevel = MeetSettings.DEFAULTS.logLevel;
+  let pending = [];
+  let flushTimer = null;
+
+  MeetSettings.load().then((settings) => {
+    consoleLevel = settings.logLevel;
+  });
+
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'sync' && changes.logLevel) {
+      consoleLevel = MeetSettings.normalizeLogLevel(changes.logLevel.newValue);
+    }
+  });
+
+  /**
+   * Position of a level in MeetSettings.LOG_LEVELS, where "off" ranks above everything
+   */
+  function rank(level) {
+    return MeetSettings.LOG_LEVELS.indexOf(level);
+  }
+
+  /**
+   * Errors don't survive JSON, keep the parts worth reading
+   */
+  function serialize(data) {
+    if (data instanceof Error) {
+      return { name: data.name, message: data.message, reason: data.reason };
+    }
+    return data;
+  }
+
+  function flush() {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    if (pending.length === 0) return;
+
+    const batch = pending;
+    pending = [];
+
+    // Read-modify-write: several Meet tabs can race here, losing a batch is acceptable
+    chrome.storage.local.get([STORAGE_KEY], (result) => {
+      const entries = Array.isArray(result[STORAGE_KEY]) ? result[STORAGE_KEY] : [];
+      chrome.storage.local.set({ [STORAGE_KEY]: entries.concat(batch).slice(-MAX_ENTRIES) });
+    });
+  }
+
+  function write(entry) {
+    if (rank(entry.level) >= rank(consoleLevel)) {
+      const line = `${PREFIX} [${entry.event}] ${entry.message}`;
+      const method = console[CONSOLE_METHODS[entry.level]];
+      if (entry.data === undefined) {
+        method(line);
+      } else {
+        method(line, entry.data);
+      }
+    }
+
+    if (rank(entry.level) >= rank(PERSIST_LEVEL)) {
+      pending.push({ ...entry, data: serialize(entry.data) });
+      if (!flushTimer) {
+        flushTimer = setTimeout(flush, FLUSH_DELAY);
+      }
+    }
+  }
+
+  /**
+   * Create a logger for one part of the extension
+   * getMeeting returns the correlation ID (meeting code) at the time of each entry
+   * Each method takes (event, message, data?) where event is a short kebab-case code
+   */
+  function create(source, getMeeting) {
+    const logger = {};
+    LEVELS.forEach((level) => {
+      logger[level] = (event, message, data) => write({
+        time: Date.now(),
+        level,
+        source,
+        event,
+        meeting: getMeeting ? getMeeting() : null,
+        message,
+        data
+      });
+    });
+    return logger;
+  }
+
+  /**
+   * Persisted entries, oldest first
+   */
+  function load() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get([STORAGE_KEY], (result) => {
+        resolve(Array.isArray(result[STORAGE_KEY]) ? result[STORAGE_KEY] : []);
+      });
+    });
+  }
+
+  function clear() {
+    pending = [];
+    return new Promise((resolve) => {
+      chrome.storage.local.remove(STORAGE_KEY, resolve);
+    });
+  }
+
+  // Don't lose the last batch when the tab closes
+  if (typeof window !== 'undefined') {
+    window.addEventListener('pagehide', flush);
+  }
+
+  global.MeetLogger = {
+    STORAGE_KEY,
+    MAX_ENTRIES,
+    LEVELS,
+    create,
+    load,
+    clear,
+    flush
+  };
+})(globalThis);
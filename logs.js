@@ -0,0 +1,134 @@
+// Log viewer for Meet Transcription Reminder
+(function () {
+  'use strict';
+
+  const searchInput = document.getElementById('searchInput');
+  const levelFilter = document.getElementById('levelFilter');
+  const logRows = document.getElementById('logRows');
+  const emptyState = document.getElementById('emptyState');
+  const summary = document.getElementById('summary');
+  const copyBtn = document.getElementById('copyBtn');
+  const clearBtn = document.getElementById('clearBtn');
+
+  let entries = [];
+
+  /**
+   * i18n key per level, e.g. "warn" -> "logLevelWarn"
+   */
+  function levelLabel(level) {
+    return chrome.i18n.getMessage(`logLevel${level.charAt(0).toUpperCase()}${level.slice(1)}`) || level;
+  }
+
+  function populateLevelFilter() {
+    const options = [['', chrome.i18n.getMessage('logsAllLevels')]]
+      .concat(MeetLogger.LEVELS.map(level => [level, levelLabel(level)]));
+
+    options.forEach(([value, label]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      levelFilter.appendChild(option);
+    });
+  }
+
+  /**
+   * Entries at or above the chosen level matching the search text, newest first
+   */
+  function getFilteredEntries() {
+    const query = searchInput.value.trim().toLowerCase();
+    const minLevel = MeetLogger.LEVELS.indexOf(levelFilter.value);
+
+    return entries.filter((entry) => {
+      if (MeetLogger.LEVELS.indexOf(entry.level) < minLevel) return false;
+      if (!query) return true;
+      return `${entry.event} ${entry.meeting || ''} ${entry.message}`.toLowerCase().includes(query);
+    });
+  }
+
+  function createCell(className, text) {
+    const cell = document.createElement('td');
+    if (className) cell.className = className;
+    if (text !== undefined) cell.textContent = text;
+    return cell;
+  }
+
+  function render() {
+    const filtered = getFilteredEntries();
+    logRows.textContent = '';
+
+    filtered.forEach((entry) => {
+      const row = document.createElement('tr');
+
+      const levelCell = createCell();
+      const badge = document.createElement('span');
+      badge.className = `level level-${entry.level}`;
+      badge.textContent = levelLabel(entry.level);
+      levelCell.appendChild(badge);
+
+      const messageCell = createCell('', entry.message);
+      if (entry.data !== undefined && entry.data !== null) {
+        const data = document.createElement('div');
+        data.className = 'data';
+        data.textContent = JSON.stringify(entry.data);
+        messageCell.appendChild(data);
+      }
+
+      row.append(
+        createCell('', new Date(entry.time).toLocaleString()),
+        levelCell,
+        createCell('code', entry.event),
+        createCell('code', entry.meeting || '—'),
+        messageCell
+      );
+      logRows.appendChild(row);
+    });
+
+    emptyState.style.display = filtered.length ? 'none' : 'block';
+    summary.textContent = chrome.i18n.getMessage('logsSummary', [String(filtered.length), String(entries.length)]);
+  }
+
+  /**
+   * One line per entry, the format to paste into a bug report
+   */
+  function toText(list) {
+    return list.map((entry) => {
+      const data = entry.data !== undefined && entry.data !== null ? ` ${JSON.stringify(entry.data)}` : '';
+      const time = new Date(entry.time).toISOString();
+      return `${time} ${entry.level.toUpperCase()} [${entry.event}] ${entry.meeting || '-'} ${entry.message}${data}`;
+    }).join('\n');
+  }
+
+  function loadEntries() {
+    MeetLogger.load().then((loaded) => {
+      entries = loaded.reverse();
+      render();
+    });
+  }
+
+  // Initialize localization
+  localize();
+  populateLevelFilter();
+  loadEntries();
+
+  searchInput.addEventListener('input', render);
+  levelFilter.addEventListener('change', render);
+
+  copyBtn.addEventListener('click', () => {
+    navigator.clipboard.writeText(toText(getFilteredEntries())).then(() => {
+      summary.textContent = chrome.i18n.getMessage('logsCopied');
+    });
+  });
+
+  clearBtn.addEventListener('click', () => {
+    if (confirm(chrome.i18n.getMessage('logsClearConfirm'))) {
+      MeetLogger.clear().then(loadEntries);
+    }
+  });
+
+  // New entries arrive in batches while Meet tabs are open
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[MeetLogger.STORAGE_KEY]) {
+      loadEntries();
+    }
+  });
+})();
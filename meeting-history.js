@@ -0,0 +1,91 @@
+// Meeting history for Meet Transcription Reminder
+// One entry per meeting in chrome.storage.local, newest first, trimmed to the retention limit
+// Writes are read-modify-write cycles on one key: only the background worker
+// makes them, one at a time (see MEETING HISTORY in background.js)
+(function (global) {
+  'use strict';
+
+  const STORAGE_KEY = 'meetingHistory';
+
+  /**
+   * Every outcome an entry can end with, in display order
+   */
+  const OUTCOMES = [
+    'auto-started',
+    'accepted',
+    'declined',
+    'failed',
+    'already-running',
+    'timed-out',
+    'skipped'
+  ];
+
+  function load() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get([STORAGE_KEY], (result) => {
+        resolve(Array.isArray(result[STORAGE_KEY]) ? result[STORAGE_KEY] : []);
+      });
+    });
+  }
+
+  function save(entries) {
+    return new Promise((resolve) => {
+      chrome.storage.local.set({ [STORAGE_KEY]: entries }, resolve);
+    });
+  }
+
+  /**
+   * Insert or replace an entry by id, keeping at most `retention` entries
+   * An end time already recorded, e.g. when the tab closed, is never taken back
+   */
+  async function upsert(entry, retention) {
+    const entries = await load();
+    const index = entries.findIndex(existing => existing.id === entry.id);
+
+    if (index >= 0) {
+      entries[index] = { ...entry, endedAt: entry.endedAt || entries[index].endedAt };
+    } else {
+      entries.unshift(entry);
+    }
+
+    entries.sort((a, b) => b.joinedAt - a.joinedAt);
+    await save(entries.slice(0, retention));
+  }
+
+  /**
+   * Merge changes into an existing entry; resolves false when it's gone
+   */
+  async function update(id, changes) {
+    const entries = await load();
+    const entry = entries.find(existing => existing.id === id);
+    if (!entry) return false;
+
+    Object.assign(entry, changes);
+    await save(entries);
+    return true;
+  }
+
+  function clear() {
+    return new Promise((resolve) => {
+      chrome.storage.local.remove(STORAGE_KEY, resolve);
+    });
+  }
+
+  /**
+   * Chrome i18n key for an outcome, e.g. "already-running" -> "outcomeAlreadyRunning"
+   */
+  function outcomeMessageKey(outcome) {
+    const camel = outcome.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+    return `outcome${camel.charAt(0).toUpperCase()}${camel.slice(1)}`;
+  }
+
+  global.MeetHistory = {
+    STORAGE_KEY,
+    OUTCOMES,
+    load,
+    upsert,
+    update,
+    clear,
+    outcomeMessageKey
+  };
+})(globalThis);
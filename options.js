@@ -0,0 +1,492 @@
+// Options page script for Meet Transcription Reminder
+(function () {
+  'use strict';
+
+  const saveStatus = document.getElementById('saveStatus');
+  const packInfo = document.getElementById('packInfo');
+  const packErrors = document.getElementById('packErrors');
+  const packFile = document.getElementById('packFile');
+  const loadPackBtn = document.getElementById('loadPackBtn');
+  const clearPackBtn = document.getElementById('clearPackBtn');
+  const importErrors = document.getElementById('importErrors');
+  const settingsFile = document.getElementById('settingsFile');
+  const exportSettingsBtn = document.getElementById('exportSettingsBtn');
+  const importSettingsBtn = document.getElementById('importSettingsBtn');
+  const resetSettingsBtn = document.getElementById('resetSettingsBtn');
+  const scheduleList = document.getElementById('scheduleList');
+  const scheduleEmpty = document.getElementById('scheduleEmpty');
+  const addWeeklyBtn = document.getElementById('addWeeklyBtn');
+  const addDateBtn = document.getElementById('addDateBtn');
+  const integrationToggle = document.getElementById('integrationToggle');
+  const integrationTarget = document.getElementById('integrationTarget');
+  const webhookUrl = document.getElementById('webhookUrl');
+  const companionExtensionId = document.getElementById('companionExtensionId');
+  const webhookRow = document.getElementById('webhookRow');
+  const companionRow = document.getElementById('companionRow');
+  const integrationResult = document.getElementById('integrationResult');
+  const testEventBtn = document.getElementById('testEventBtn');
+  let saveStatusTimeout = null;
+
+  const { MODES } = MeetSettings;
+
+  let schedule = [];
+  let scheduleLocked = false;
+
+  function showSaved() {
+    saveStatus.classList.remove('error');
+    saveStatus.textContent = chrome.i18n.getMessage('optionsSaved');
+    clearTimeout(saveStatusTimeout);
+    saveStatusTimeout = setTimeout(() => {
+      saveStatus.textContent = '';
+    }, 1500);
+  }
+
+  /**
+   * Show why a save failed, e.g. the sync quota, until the next save
+   */
+  function showSaveFailed(message) {
+    console.error('Save failed:', message);
+    clearTimeout(saveStatusTimeout);
+    saveStatus.classList.add('error');
+    saveStatus.textContent = chrome.i18n.getMessage('settingsSaveFailed', [message]);
+  }
+
+  /**
+   * Show loaded settings in every [data-setting] input and in the schedule editor
+   */
+  function renderSettings(settings) {
+    document.querySelectorAll('[data-setting]').forEach((input) => {
+      const key = input.getAttribute('data-setting');
+      if (input.type === 'checkbox') {
+        input.checked = settings[key] === true;
+      } else {
+        input.value = settings[key];
+      }
+    });
+
+    schedule = settings.schedule;
+    renderSchedule();
+    renderIntegrationTarget();
+  }
+
+  /**
+   * Show only the field of the chosen integration target
+   */
+  function renderIntegrationTarget() {
+    const isWebhook = integrationTarget.value === MeetEvents.TARGETS.WEBHOOK;
+    webhookRow.style.display = isWebhook ? 'flex' : 'none';
+    companionRow.style.display = isWebhook ? 'none' : 'flex';
+  }
+
+  /**
+   * Ask for access to the webhook's host, so the background worker can POST to it
+   * without the receiver having to answer CORS preflights
+   * Must run from a user gesture (a click or an edit); resolves whether access is granted
+   */
+  function requestWebhookAccess() {
+    const origin = MeetEvents.originPattern(webhookUrl.value.trim());
+    if (integrationTarget.value !== MeetEvents.TARGETS.WEBHOOK || !origin) {
+      return Promise.resolve(false);
+    }
+    return chrome.permissions.request({ origins: [origin] }).catch(() => false);
+  }
+
+  function showIntegrationResult(text, isError) {
+    integrationResult.textContent = text;
+    integrationResult.className = isError ? 'error' : 'success';
+  }
+
+  /**
+   * Short weekday names in the UI language, Sunday first to match Date#getDay
+   */
+  function getWeekdayNames() {
+    const format = new Intl.DateTimeFormat(chrome.i18n.getUILanguage(), { weekday: 'short' });
+    // 2023-01-01 was a Sunday
+    return [0, 1, 2, 3, 4, 5, 6].map(day => format.format(new Date(2023, 0, 1 + day)));
+  }
+
+  /**
+   * Persist the schedule and redraw it
+   */
+  function saveSchedule() {
+    chrome.storage.sync.set({ schedule }, () => {
+      if (chrome.runtime.lastError) {
+        showSaveFailed(chrome.runtime.lastError.message);
+        return;
+      }
+      console.log('Schedule saved:', schedule.length);
+      showSaved();
+    });
+    renderSchedule();
+  }
+
+  function createInput(type, value, onChange) {
+    const input = document.createElement('input');
+    input.type = type;
+    input.value = value;
+    input.addEventListener('change', () => {
+      // Half-typed times and dates come through empty, keep the last good value
+      if (input.value) onChange(input.value);
+    });
+    return input;
+  }
+
+  /**
+   * Render one editable row per schedule entry: its days or date, the time window and the mode
+   */
+  function renderSchedule() {
+    scheduleList.textContent = '';
+    scheduleList.style.display = schedule.length ? 'flex' : 'none';
+    scheduleEmpty.style.display = schedule.length ? 'none' : 'block';
+
+    const weekdays = getWeekdayNames();
+    // Monday first reads more naturally for working weeks
+    const dayOrder = [1, 2, 3, 4, 5, 6, 0];
+
+    schedule.forEach((entry, index) => {
+      const row = document.createElement('div');
+      row.className = 'schedule-row';
+
+      if (entry.date) {
+        row.appendChild(createInput('date', entry.date, (value) => {
+          entry.date = value;
+          saveSchedule();
+        }));
+      } else {
+        const days = document.createElement('div');
+        days.className = 'schedule-days';
+        dayOrder.forEach((day) => {
+          const label = document.createElement('label');
+          label.className = 'day-toggle';
+          const checkbox = document.createElement('input');
+          checkbox.type = 'checkbox';
+          checkbox.checked = entry.days.includes(day);
+          checkbox.addEventListener('change', () => {
+            const selected = entry.days.filter(existing => existing !== day);
+            if (checkbox.checked) selected.push(day);
+            // A weekly entry needs at least one day, or it would be dropped on load
+            if (selected.length === 0) {
+              checkbox.checked = true;
+              return;
+            }
+            entry.days = selected.sort();
+            saveSchedule();
+          });
+          const name = document.createElement('span');
+          name.textContent = weekdays[day];
+          label.append(checkbox, name);
+          days.appendChild(label);
+        });
+        row.appendChild(days);
+      }
+
+      const start = createInput('time', entry.start, (value) => {
+        entry.start = value;
+        saveSchedule();
+      });
+      const end = createInput('time', entry.end, (value) => {
+        entry.end = value;
+        saveSchedule();
+      });
+      const dash = document.createElement('span');
+      dash.textContent = '–';
+
+      const mode = document.createElement('select');
+      [
+        [MODES.AUTO_START, 'ruleActionAuto'],
+        [MODES.REMIND, 'ruleActionRemind'],
+        [MODES.NEVER, 'scheduleModeOff']
+      ].forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = chrome.i18n.getMessage(label);
+        mode.appendChild(option);
+      });
+      mode.value = entry.mode;
+      mode.addEventListener('change', () => {
+        entry.mode = mode.value;
+        saveSchedule();
+      });
+
+      const deleteBtn = document.createElement('button');
+      deleteBtn.className = 'icon-btn';
+      deleteBtn.textContent = '✕';
+      deleteBtn.title = chrome.i18n.getMessage('scheduleDelete');
+      deleteBtn.addEventListener('click', () => {
+        schedule.splice(index, 1);
+        saveSchedule();
+      });
+
+      row.append(start, dash, end, mode, deleteBtn);
+      if (scheduleLocked) {
+        row.querySelectorAll('input, select, button').forEach((control) => {
+          control.disabled = true;
+        });
+        deleteBtn.hidden = true;
+      }
+      scheduleList.appendChild(row);
+    });
+  }
+
+  function addScheduleEntry(entry) {
+    schedule.push({ id: MeetSettings.createRuleId(), start: '09:00', end: '17:00', mode: MODES.REMIND, ...entry });
+    saveSchedule();
+  }
+
+  /**
+   * Add the "enforced by your organization" label to a setting row, once
+   */
+  function addPolicyNote(row) {
+    const info = row.querySelector('.setting-info');
+    if (info.querySelector('.policy-note')) return;
+
+    const note = document.createElement('p');
+    note.className = 'policy-note';
+    note.textContent = chrome.i18n.getMessage('policyEnforced');
+    info.appendChild(note);
+  }
+
+  /**
+   * Lock the inputs of settings enforced by policy and label them as such
+   */
+  function renderPolicy(policy) {
+    document.querySelectorAll('[data-setting]').forEach((input) => {
+      const key = input.getAttribute('data-setting');
+      if (!(key in policy)) return;
+
+      input.disabled = true;
+      addPolicyNote(input.closest('.setting-row'));
+    });
+
+    if ('schedule' in policy) {
+      scheduleLocked = true;
+      addWeeklyBtn.disabled = true;
+      addDateBtn.disabled = true;
+      addPolicyNote(addWeeklyBtn.closest('.setting-row'));
+      renderSchedule();
+    }
+  }
+
+  /**
+   * Whether turning this feature off would leave neither notes nor transcript on
+   */
+  function isLastVerifiableFeature(key) {
+    const features = {};
+    ['featureNotes', 'featureTranscript'].forEach((feature) => {
+      features[feature] = document.querySelector(`[data-setting="${feature}"]`).checked;
+    });
+    return key in features && !MeetSettings.hasVerifiableFeature(features);
+  }
+
+  /**
+   * Wire every [data-setting] input to the setting of the same name
+   * Numeric inputs are clamped to MeetSettings.LIMITS before saving
+   */
+  function bindSettings() {
+    document.querySelectorAll('[data-setting]').forEach((input) => {
+      const key = input.getAttribute('data-setting');
+      const limits = MeetSettings.LIMITS[key];
+
+      if (limits) {
+        input.min = limits.min;
+        input.max = limits.max;
+      }
+
+      input.addEventListener('change', () => {
+        let value;
+        if (input.type === 'checkbox') {
+          value = input.checked;
+          if (!value && isLastVerifiableFeature(key)) {
+            input.checked = true;
+            showSaveFailed(chrome.i18n.getMessage('settingsFeatureKeepOne'));
+            return;
+          }
+        } else if (limits) {
+          value = MeetSettings.clampNumber(key, input.value);
+          input.value = value;
+        } else {
+          value = input.value;
+        }
+
+        chrome.storage.sync.set({ [key]: value }, () => {
+          if (chrome.runtime.lastError) {
+            showSaveFailed(chrome.runtime.lastError.message);
+            return;
+          }
+          console.log('Setting saved:', key, value);
+          showSaved();
+        });
+      });
+    });
+  }
+
+  /**
+   * Show which strategy pack the content script will use
+   */
+  function renderPackInfo() {
+    MeetStrategyPack.load().then(({ pack, source }) => {
+      const key = source === 'override' ? 'packInfoOverride' : 'packInfoBundled';
+      packInfo.textContent = chrome.i18n.getMessage(key, [pack.id || '?', pack.version]);
+      clearPackBtn.disabled = source !== 'override';
+    });
+  }
+
+  /**
+   * Validate and store an override pack picked by the user
+   */
+  function loadOverrideFile(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+      let pack;
+      try {
+        pack = JSON.parse(reader.result);
+      } catch (error) {
+        packErrors.textContent = `${chrome.i18n.getMessage('packInvalid')}\n${error.message}`;
+        return;
+      }
+
+      const problems = MeetStrategyPack.validate(pack);
+      if (problems.length > 0) {
+        packErrors.textContent = `${chrome.i18n.getMessage('packInvalid')}\n${problems.join('\n')}`;
+        return;
+      }
+
+      packErrors.textContent = '';
+      MeetStrategyPack.setOverride(pack).then(() => {
+        console.log('Strategy pack override saved:', pack.id, pack.version);
+        showSaved();
+        renderPackInfo();
+      });
+    };
+    reader.readAsText(file);
+  }
+
+  /**
+   * Replace all settings with the ones from an exported file
+   * The file is migrated and validated first, nothing is stored if it is unusable
+   */
+  function importSettingsFile(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+      let settings;
+      try {
+        settings = MeetSettings.parseExport(JSON.parse(reader.result));
+      } catch (error) {
+        importErrors.textContent = `${chrome.i18n.getMessage('settingsImportInvalid')}\n${error.message}`;
+        return;
+      }
+
+      importErrors.textContent = '';
+      MeetSettings.save(settings).then(() => {
+        console.log('Settings imported');
+        // Reload so enforced policies keep showing their values
+        MeetSettings.load().then(renderSettings);
+        showSaved();
+      }, (error) => {
+        importErrors.textContent = chrome.i18n.getMessage('settingsSaveFailed', [error.message]);
+        showSaveFailed(error.message);
+      });
+    };
+    reader.readAsText(file);
+  }
+
+  // Initialize localization
+  localize();
+
+  bindSettings();
+  MeetSettings.load().then(renderSettings);
+  MeetSettings.loadPolicy().then(renderPolicy);
+  renderPackInfo();
+
+  exportSettingsBtn.addEventListener('click', () => {
+    // The user's own settings only, what the organization enforces isn't theirs to share
+    MeetSettings.loadUserSettings().then((settings) => {
+      const data = MeetSettings.exportSettings(settings);
+      const name = `meet-reminder-settings-${new Date().toISOString().slice(0, 10)}.json`;
+      MeetFiles.download(name, 'application/json', JSON.stringify(data, null, 2));
+    });
+  });
+
+  importSettingsBtn.addEventListener('click', () => settingsFile.click());
+
+  settingsFile.addEventListener('change', () => {
+    if (settingsFile.files[0]) {
+      importSettingsFile(settingsFile.files[0]);
+    }
+    settingsFile.value = '';
+  });
+
+  resetSettingsBtn.addEventListener('click', () => {
+    if (!confirm(chrome.i18n.getMessage('settingsResetConfirm'))) return;
+
+    const defaults = MeetSettings.normalize({});
+    MeetSettings.save(defaults).then(() => {
+      importErrors.textContent = '';
+      MeetSettings.load().then(renderSettings);
+      showSaved();
+    }, error => showSaveFailed(error.message));
+  });
+
+  addWeeklyBtn.addEventListener('click', () => {
+    addScheduleEntry({ days: [1, 2, 3, 4, 5], date: null });
+  });
+
+  addDateBtn.addEventListener('click', () => {
+    const today = new Date();
+    today.setMinutes(today.getMinutes() - today.getTimezoneOffset());
+    addScheduleEntry({ days: [], date: today.toISOString().slice(0, 10) });
+  });
+
+  // Access is per host, a new URL or target while events are on needs its own
+  const requestAccessIfEnabled = () => {
+    if (integrationToggle.checked) {
+      requestWebhookAccess();
+    }
+  };
+
+  integrationTarget.addEventListener('change', () => {
+    renderIntegrationTarget();
+    requestAccessIfEnabled();
+  });
+  integrationToggle.addEventListener('change', requestAccessIfEnabled);
+  webhookUrl.addEventListener('change', requestAccessIfEnabled);
+
+  testEventBtn.addEventListener('click', () => {
+    showIntegrationResult('', false);
+    const target = {
+      integrationTarget: integrationTarget.value,
+      webhookUrl: webhookUrl.value,
+      companionExtensionId: companionExtensionId.value
+    };
+
+    requestWebhookAccess().then(() => {
+      chrome.runtime.sendMessage({ type: 'sendTestEvent', target }, (result) => {
+        if (chrome.runtime.lastError || !result) {
+          const reason = chrome.runtime.lastError ? chrome.runtime.lastError.message : 'no response';
+          showIntegrationResult(chrome.i18n.getMessage('integrationTestFailed', [reason]), true);
+        } else if (result.ok) {
+          showIntegrationResult(chrome.i18n.getMessage('integrationTestSent'), false);
+        } else {
+          showIntegrationResult(chrome.i18n.getMessage('integrationTestFailed', [result.error]), true);
+        }
+      });
+    });
+  });
+
+  loadPackBtn.addEventListener('click', () => packFile.click());
+
+  packFile.addEventListener('change', () => {
+    if (packFile.files[0]) {
+      loadOverrideFile(packFile.files[0]);
+    }
+    packFile.value = '';
+  });
+
+  clearPackBtn.addEventListener('click', () => {
+    MeetStrategyPack.clearOverride().then(() => {
+      packErrors.textContent = '';
+      showSaved();
+      renderPackInfo();
+    });
+  });
+})();
@@ -5,26 +5,100 @@
   const autoStartToggle = document.getElementById('autoStartToggle');
   const statusDot = document.getElementById('statusDot');
   const statusText = document.getElementById('statusText');
+  const rulesList = document.getElementById('rulesList');
+  const rulesEmpty = document.getElementById('rulesEmpty');
+  const addRuleBtn = document.getElementById('addRuleBtn');
+  const optionsLink = document.getElementById('optionsLink');
+  const historyLink = document.getElementById('historyLink');
+  const autoStartPolicy = document.getElementById('autoStartPolicy');
+  const rulesPolicy = document.getElementById('rulesPolicy');
+
+  const tabStatusDot = document.getElementById('tabStatusDot');
+  const tabStatusText = document.getElementById('tabStatusText');
+  const tabStatusDetail = document.getElementById('tabStatusDetail');
+  const startNowBtn = document.getElementById('startNowBtn');
+  const showReminderBtn = document.getElementById('showReminderBtn');
+  const diagnosticsBtn = document.getElementById('diagnosticsBtn');
+
+  const { MODES, RULE_FIELDS } = MeetSettings;
+
+  const TAB_STATUS_REFRESH = 1500;
 
   /**
-   * Localize all elements with data-i18n attribute
+   * Per tab status: label key, dot style, and which actions make sense
    */
-  function localize() {
-    const elements = document.querySelectorAll('[data-i18n]');
-    elements.forEach(element => {
-      const key = element.getAttribute('data-i18n');
-      const message = chrome.i18n.getMessage(key);
-      if (message) {
-        element.textContent = message;
-      }
-    });
+  const TAB_STATUS_VIEW = {
+    'not-meeting': { label: 'tabStatusNotMeeting', dot: 'inactive' },
+    'waiting-room': { label: 'tabStatusWaiting', dot: 'inactive' },
+    'active': { label: 'tabStatusActive', dot: 'pending', canStart: true },
+    'trigger-found': { label: 'tabStatusTriggerFound', dot: 'pending', canStart: true, canRemind: true },
+    'starting': { label: 'tabStatusStarting', dot: 'pending' },
+    'running': { label: 'tabStatusRunning', dot: '' },
+    'failed': { label: 'tabStatusFailed', dot: 'error', canStart: true, canRemind: true },
+    'passive': { label: 'tabStatusPassive', dot: 'inactive' }
+  };
+
+  let activeTabId = null;
+  let isStarting = false;
+
+  let rules = [];
+  let rulesLocked = false;
+  let scheduleEntry = null; // Schedule entry in effect right now, if any
+
+  /**
+   * Label key for each mode as a schedule entry shows it
+   */
+  const SCHEDULE_MODE_LABELS = {
+    [MODES.AUTO_START]: 'ruleActionAuto',
+    [MODES.REMIND]: 'ruleActionRemind',
+    [MODES.NEVER]: 'scheduleModeOff'
+  };
+
+  /**
+   * "Mon, Tue 09:00–10:00" or "Dec 24 (all day)" for a schedule entry
+   */
+  function describeScheduleEntry(entry) {
+    const locale = chrome.i18n.getUILanguage();
+    let when;
+    if (entry.date) {
+      const [year, month, day] = entry.date.split('-').map(Number);
+      when = new Date(year, month - 1, day).toLocaleDateString(locale, { month: 'short', day: 'numeric' });
+    } else {
+      const format = new Intl.DateTimeFormat(locale, { weekday: 'short' });
+      // Monday first; 2023-01-01 was a Sunday
+      when = [1, 2, 3, 4, 5, 6, 0]
+        .filter(day => entry.days.includes(day))
+        .map(day => format.format(new Date(2023, 0, 1 + day)))
+        .join(', ');
+    }
+
+    const hours = entry.start === entry.end
+      ? chrome.i18n.getMessage('scheduleAllDay')
+      : `${entry.start}–${entry.end}`;
+    return `${when} ${hours}`;
   }
 
   /**
-   * Update status display based on toggle state
+   * Show why a save failed in the status line, e.g. the sync quota, until the next save
+   */
+  function showSaveFailed(message) {
+    console.error('Save failed:', message);
+    statusDot.classList.add('error');
+    statusText.textContent = chrome.i18n.getMessage('settingsSaveFailed', [message]);
+  }
+
+  /**
+   * Update status display: the schedule entry in effect, otherwise the toggle state
    */
   function updateStatus() {
-    if (autoStartToggle.checked) {
+    statusDot.classList.remove('error');
+    if (scheduleEntry) {
+      statusDot.classList.toggle('inactive', scheduleEntry.mode !== MODES.AUTO_START);
+      statusText.textContent = chrome.i18n.getMessage('scheduleStatus', [
+        describeScheduleEntry(scheduleEntry),
+        chrome.i18n.getMessage(SCHEDULE_MODE_LABELS[scheduleEntry.mode])
+      ]);
+    } else if (autoStartToggle.checked) {
       statusDot.classList.remove('inactive');
       statusText.textContent = chrome.i18n.getMessage('statusActive');
     } else {
@@ -33,21 +107,250 @@
     }
   }
 
+  /**
+   * Send a message to the content script of the active tab
+   * Resolves null when there is no content script (not a Meet tab)
+   */
+  function sendToTab(message) {
+    return new Promise((resolve) => {
+      if (activeTabId === null) {
+        resolve(null);
+        return;
+      }
+      chrome.tabs.sendMessage(activeTabId, message, (response) => {
+        resolve(chrome.runtime.lastError ? null : response);
+      });
+    });
+  }
+
+  function renderTabStatus(response) {
+    const status = response && response.status ? response.status : 'not-meeting';
+    const view = TAB_STATUS_VIEW[status] || TAB_STATUS_VIEW['not-meeting'];
+
+    tabStatusDot.className = `status-dot ${view.dot}`;
+    tabStatusText.textContent = chrome.i18n.getMessage(view.label);
+
+    if (!isStarting) {
+      const meeting = response && response.meeting;
+      tabStatusDetail.textContent = meeting && meeting.code && status !== 'not-meeting'
+        ? [meeting.title, meeting.room, meeting.code].filter(Boolean).join(' · ')
+        : '';
+    }
+
+    startNowBtn.disabled = isStarting || !view.canStart;
+    showReminderBtn.disabled = isStarting || !view.canRemind;
+    // Any reply means the content script is there to run the checks
+    diagnosticsBtn.disabled = !response;
+  }
+
+  function refreshTabStatus() {
+    sendToTab({ type: 'getStatus' }).then(renderTabStatus);
+  }
+
+  /**
+   * Build a <select> with localized options
+   * options: [{ value, label }]
+   */
+  function createSelect(options, value) {
+    const select = document.createElement('select');
+    options.forEach(({ value: optionValue, label }) => {
+      const option = document.createElement('option');
+      option.value = optionValue;
+      option.textContent = chrome.i18n.getMessage(label);
+      select.appendChild(option);
+    });
+    select.value = value;
+    return select;
+  }
+
+  function createIconButton(text, titleKey, onClick) {
+    const button = document.createElement('button');
+    button.className = 'icon-btn';
+    button.textContent = text;
+    button.title = chrome.i18n.getMessage(titleKey);
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  /**
+   * Persist the rule list and redraw it
+   */
+  function saveRules() {
+    chrome.storage.sync.set({ rules }, () => {
+      if (chrome.runtime.lastError) {
+        showSaveFailed(chrome.runtime.lastError.message);
+        return;
+      }
+      updateStatus();
+    });
+    renderRules();
+  }
+
+  function moveRule(index, offset) {
+    const target = index + offset;
+    if (target < 0 || target >= rules.length) return;
+    [rules[index], rules[target]] = [rules[target], rules[index]];
+    saveRules();
+  }
+
+  /**
+   * Render one editable row per rule, in evaluation order
+   */
+  function renderRules() {
+    rulesList.textContent = '';
+    rulesEmpty.style.display = rules.length ? 'none' : 'block';
+
+    rules.forEach((rule, index) => {
+      const row = document.createElement('div');
+      row.className = 'rule-row';
+
+      const fieldSelect = createSelect([
+        { value: RULE_FIELDS.CODE, label: 'ruleFieldCode' },
+        { value: RULE_FIELDS.TITLE, label: 'ruleFieldTitle' },
+        { value: RULE_FIELDS.ROOM, label: 'ruleFieldRoom' }
+      ], rule.field);
+      fieldSelect.addEventListener('change', () => {
+        rule.field = fieldSelect.value;
+        saveRules();
+      });
+
+      const patternInput = document.createElement('input');
+      patternInput.type = 'text';
+      patternInput.value = rule.pattern;
+      patternInput.placeholder = chrome.i18n.getMessage('rulePatternPlaceholder');
+      const validatePattern = () => {
+        const valid = MeetSettings.compilePattern(patternInput.value) !== null;
+        patternInput.classList.toggle('invalid', !valid);
+        patternInput.title = valid ? '' : chrome.i18n.getMessage('ruleInvalidPattern');
+      };
+      validatePattern();
+      patternInput.addEventListener('input', validatePattern);
+      patternInput.addEventListener('change', () => {
+        rule.pattern = patternInput.value.trim();
+        saveRules();
+      });
+
+      const actionSelect = createSelect([
+        { value: MODES.AUTO_START, label: 'ruleActionAuto' },
+        { value: MODES.REMIND, label: 'ruleActionRemind' },
+        { value: MODES.NEVER, label: 'ruleActionNever' }
+      ], rule.action);
+      actionSelect.addEventListener('change', () => {
+        rule.action = actionSelect.value;
+        saveRules();
+      });
+
+      const upBtn = createIconButton('↑', 'ruleMoveUp', () => moveRule(index, -1));
+      upBtn.disabled = index === 0;
+      const downBtn = createIconButton('↓', 'ruleMoveDown', () => moveRule(index, 1));
+      downBtn.disabled = index === rules.length - 1;
+      const deleteBtn = createIconButton('✕', 'ruleDelete', () => {
+        rules.splice(index, 1);
+        saveRules();
+      });
+
+      if (rulesLocked) {
+        // Enforced by policy: show the rules, but they can't be edited here
+        [fieldSelect, patternInput, actionSelect].forEach((control) => {
+          control.disabled = true;
+        });
+        row.append(fieldSelect, patternInput, actionSelect);
+      } else {
+        row.append(fieldSelect, patternInput, actionSelect, upBtn, downBtn, deleteBtn);
+      }
+      rulesList.appendChild(row);
+    });
+  }
+
   // Initialize localization
   localize();
 
-  // Load saved settings
-  chrome.storage.sync.get(['autoStart'], (result) => {
-    autoStartToggle.checked = result.autoStart === true;
+  // Track the live state of the current tab while the popup is open
+  chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+    activeTabId = tabs[0] ? tabs[0].id : null;
+    refreshTabStatus();
+    setInterval(refreshTabStatus, TAB_STATUS_REFRESH);
+  });
+
+  startNowBtn.addEventListener('click', () => {
+    isStarting = true;
+    tabStatusDetail.textContent = chrome.i18n.getMessage('tabStatusStarting');
+    refreshTabStatus();
+
+    sendToTab({ type: 'startNow' }).then((result) => {
+      isStarting = false;
+      tabStatusDetail.textContent = result && !result.success ? (result.message || '') : '';
+      refreshTabStatus();
+    });
+  });
+
+  showReminderBtn.addEventListener('click', () => {
+    sendToTab({ type: 'showReminder' }).then((result) => {
+      if (result && result.shown) {
+        window.close();
+      }
+    });
+  });
+
+  diagnosticsBtn.addEventListener('click', () => {
+    sendToTab({ type: 'runDiagnostics' }).then((report) => {
+      if (!report || !report.steps) return;
+
+      const matched = report.steps.filter(step => step.matched).length;
+      tabStatusDetail.textContent = chrome.i18n.getMessage('diagnosticsSaved', [String(matched), String(report.steps.length)]);
+
+      const stamp = report.generatedAt.replace(/[:.]/g, '-');
+      MeetFiles.download(`meet-diagnostics-${stamp}.json`, 'application/json', JSON.stringify(report, null, 2));
+    });
+  });
+
+  // Load saved settings, locking whatever the organization enforces
+  Promise.all([MeetSettings.load(), MeetSettings.loadPolicy()]).then(([settings, policy]) => {
+    autoStartToggle.checked = settings.autoStart;
+    autoStartToggle.disabled = 'autoStart' in policy;
+    autoStartPolicy.hidden = !autoStartToggle.disabled;
+    scheduleEntry = MeetSettings.resolveScheduleEntry(settings.schedule);
     updateStatus();
+
+    rules = settings.rules;
+    rulesLocked = 'rules' in policy;
+    rulesPolicy.hidden = !rulesLocked;
+    addRuleBtn.hidden = rulesLocked;
+    renderRules();
+  });
+
+  addRuleBtn.addEventListener('click', () => {
+    rules.push({
+      id: MeetSettings.createRuleId(),
+      field: RULE_FIELDS.CODE,
+      pattern: '',
+      action: MODES.AUTO_START
+    });
+    renderRules();
+
+    const inputs = rulesList.querySelectorAll('input');
+    inputs[inputs.length - 1].focus();
+  });
+
+  optionsLink.addEventListener('click', (event) => {
+    event.preventDefault();
+    chrome.runtime.openOptionsPage();
+  });
+
+  historyLink.addEventListener('click', (event) => {
+    event.preventDefault();
+    chrome.tabs.create({ url: chrome.runtime.getURL('history.html') });
   });
 
   // Save settings when toggle changes
   autoStartToggle.addEventListener('change', () => {
     const autoStart = autoStartToggle.checked;
     chrome.storage.sync.set({ autoStart }, () => {
+      if (chrome.runtime.lastError) {
+        showSaveFailed(chrome.runtime.lastError.message);
+        return;
+      }
       updateStatus();
-      console.log('Auto-start setting saved:', autoStart);
     });
   });
 })();
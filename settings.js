@@ -0,0 +1,619 @@
+// Shared settings for Meet Transcription Reminder
+// Loaded by the content script and the extension pages, exposes a single MeetSettings global
+(function (global) {
+  'use strict';
+
+  /**
+   * What the extension does when the trigger is found in a meeting
+   */
+  const MODES = {
+    AUTO_START: 'auto-start',
+    REMIND: 'remind',
+    NEVER: 'never'
+  };
+
+  /**
+   * Meeting fields a rule can match against
+   */
+  const RULE_FIELDS = {
+    CODE: 'code',
+    TITLE: 'title',
+    ROOM: 'room' // Breakout room name, empty in the main call
+  };
+
+  /**
+   * Gemini features the activation chain turns on, mapped to their setting keys
+   */
+  const FEATURES = {
+    notes: 'featureNotes',
+    transcript: 'featureTranscript',
+    recording: 'featureRecording'
+  };
+
+  /**
+   * Console verbosity, lowest first; entries below the chosen level stay out
+   * of the console (see logger.js)
+   */
+  const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'off'];
+
+  /**
+   * Participant conditions per mode, mapped to their setting keys
+   * A mode only applies while its conditions hold; "never" has none
+   */
+  const MODE_CONDITIONS = {
+    [MODES.AUTO_START]: { minParticipants: 'autoStartMinParticipants', externalOnly: 'autoStartExternalOnly' },
+    [MODES.REMIND]: { minParticipants: 'remindMinParticipants', externalOnly: 'remindExternalOnly' }
+  };
+
+  const DEFAULTS = {
+    autoStart: false,
+    rules: [],
+    schedule: [],
+    maxActivationAttempts: 3,
+    autoStartCountdown: 10,
+    watchdog: false,
+    balloonAutoHide: 60,
+    nudgeAfterMinutes: 0,
+    historyRetention: 200,
+    logLevel: 'info',
+    chatAnnouncement: false,
+    chatAnnouncementTemplate: '', // Empty uses the localized default
+    featureNotes: true,
+    featureTranscript: true,
+    featureRecording: false,
+    checkInterval: 3000, // Backup detection interval, ms
+    maxWaitTime: 120, // Seconds to wait for the trigger after joining
+    activationTimeout: 3000, // ms for the action button to appear
+    menuDelay: 1500, // ms for the Gemini menu to settle after opening it
+    clickDelay: 500, // ms after each click in the activation chain
+    autoStartMinParticipants: 0, // 0 = any size
+    autoStartExternalOnly: false,
+    remindMinParticipants: 0,
+    remindExternalOnly: false,
+    internalDomains: '', // Empty uses the signed-in account's domain
+    integrationEnabled: false,
+    integrationTarget: 'webhook', // "webhook" or "extension", see events.js
+    webhookUrl: '',
+    companionExtensionId: ''
+  };
+
+  /**
+   * Version of the stored settings layout, kept in sync storage as settingsVersion
+   * Bump it and add a MIGRATIONS entry whenever stored keys change shape
+   */
+  const SCHEMA_VERSION = 1;
+  const VERSION_KEY = 'settingsVersion';
+
+  /**
+   * MIGRATIONS[n] upgrades raw settings from version n to n + 1
+   */
+  const MIGRATIONS = [
+    // 0 -> 1: unversioned settings. Same layout, but hand-written rules may lack ids
+    (raw) => (Array.isArray(raw.rules)
+      ? { ...raw, rules: raw.rules.map(rule => (rule && !rule.id ? { ...rule, id: createRuleId() } : rule)) }
+      : raw)
+  ];
+
+  const CHAT_TEMPLATE_MAX_LENGTH = 500;
+
+  const INTEGRATION_TARGETS = ['webhook', 'extension'];
+  const EXTENSION_ID_PATTERN = /^[a-p]{32}$/;
+
+  /**
+   * chrome.storage.local key of a policy stand-in for testing without a managed
+   * device; honoured only in unpacked builds and only when no real policy is set
+   */
+  const POLICY_STAND_IN_KEY = 'policyStandIn';
+
+  /**
+   * Allowed ranges for numeric settings
+   */
+  const LIMITS = {
+    maxActivationAttempts: { min: 1, max: 5 },
+    autoStartCountdown: { min: 0, max: 60 },
+    balloonAutoHide: { min: 0, max: 600 },
+    nudgeAfterMinutes: { min: 0, max: 240 },
+    historyRetention: { min: 10, max: 1000 },
+    checkInterval: { min: 1000, max: 30000 },
+    maxWaitTime: { min: 10, max: 600 },
+    activationTimeout: { min: 1000, max: 15000 },
+    menuDelay: { min: 0, max: 10000 },
+    clickDelay: { min: 0, max: 5000 },
+    autoStartMinParticipants: { min: 0, max: 500 },
+    remindMinParticipants: { min: 0, max: 500 }
+  };
+
+  /**
+   * Coerce a stored value into an integer within LIMITS[key]
+   */
+  function clampNumber(key, value) {
+    const { min, max } = LIMITS[key];
+    const number = Math.round(Number(value));
+    if (!Number.isFinite(number)) return DEFAULTS[key];
+    return Math.min(max, Math.max(min, number));
+  }
+
+  function normalizeLogLevel(value) {
+    return LOG_LEVELS.includes(value) ? value : DEFAULTS.logLevel;
+  }
+
+  /**
+   * Feature toggles as booleans, as stored
+   */
+  function normalizeFeatures(stored) {
+    const features = {};
+    Object.values(FEATURES).forEach((key) => {
+      features[key] = typeof stored[key] === 'boolean' ? stored[key] : DEFAULTS[key];
+    });
+    return features;
+  }
+
+  /**
+   * Whether notes or transcript is on
+   * Success is verified through their indicator, so recording on its own can't
+   * be confirmed; the options page won't turn both off, imports are rejected
+   */
+  function hasVerifiableFeature(settings) {
+    return settings.featureNotes === true || settings.featureTranscript === true;
+  }
+
+  /**
+   * { notes, transcript, recording } booleans from loaded settings
+   * Storage edited by hand with notes and transcript off starts the defaults
+   */
+  function enabledFeatures(settings) {
+    const source = hasVerifiableFeature(settings)
+      ? settings
+      : { ...settings, featureNotes: DEFAULTS.featureNotes, featureTranscript: DEFAULTS.featureTranscript };
+
+    const enabled = {};
+    Object.entries(FEATURES).forEach(([feature, key]) => {
+      enabled[feature] = source[key];
+    });
+    return enabled;
+  }
+
+  /**
+   * Lowercased domains from a comma- or space-separated list, "@" optional
+   */
+  function parseDomains(text) {
+    if (typeof text !== 'string') return [];
+    return text.split(/[\s,;]+/)
+      .map(domain => domain.trim().replace(/^@/, '').toLowerCase())
+      .filter(Boolean);
+  }
+
+  /**
+   * Conditions of a mode that the people in the call don't meet yet
+   * participants: { count, domains, selfDomain } where count and domains may be
+   * null when Meet doesn't show them; unknown counts as not met
+   * Returns a list of "participants" / "external", empty when the mode applies
+   */
+  function unmetConditions(settings, mode, participants) {
+    const keys = MODE_CONDITIONS[mode];
+    if (!keys) return [];
+
+    const unmet = [];
+    const minParticipants = settings[keys.minParticipants];
+    if (minParticipants > 0 && !(participants.count >= minParticipants)) {
+      unmet.push('participants');
+    }
+
+    if (settings[keys.externalOnly]) {
+      const internal = parseDomains(settings.internalDomains);
+      if (internal.length === 0 && participants.selfDomain) {
+        internal.push(participants.selfDomain);
+      }
+      const hasExternal = internal.length > 0 && (participants.domains || [])
+        .some(domain => !internal.some(own => domain === own || domain.endsWith(`.${own}`)));
+      if (!hasExternal) {
+        unmet.push('external');
+      }
+    }
+    return unmet;
+  }
+
+  const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+  const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+  /**
+   * Keep only well-formed schedule entries
+   * An entry covers either weekdays (0 = Sunday) or one date, from start to end
+   * in local "HH:MM"; end before start runs past midnight, start equal to end is all day
+   */
+  function normalizeSchedule(entries) {
+    if (!Array.isArray(entries)) return [];
+
+    return entries.filter(entry => entry &&
+      Object.values(MODES).includes(entry.mode) &&
+      TIME_PATTERN.test(entry.start) &&
+      TIME_PATTERN.test(entry.end)
+    ).map((entry) => {
+      const date = typeof entry.date === 'string' && DATE_PATTERN.test(entry.date) ? entry.date : null;
+      const days = date || !Array.isArray(entry.days) ? [] : [...new Set(entry.days)]
+        .filter(day => Number.isInteger(day) && day >= 0 && day <= 6)
+        .sort();
+      return {
+        id: typeof entry.id === 'string' && entry.id ? entry.id : createRuleId(),
+        days,
+        date,
+        start: entry.start,
+        end: entry.end,
+        mode: entry.mode
+      };
+    }).filter(entry => entry.date || entry.days.length > 0);
+  }
+
+  function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  }
+
+  /**
+   * "YYYY-MM-DD" of a Date in the local time zone
+   */
+  function localDateKey(date) {
+    const pad = number => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  /**
+   * Whether a schedule entry covers a moment, in the local time zone
+   */
+  function scheduleCovers(entry, at) {
+    const minutes = at.getHours() * 60 + at.getMinutes();
+    const start = toMinutes(entry.start);
+    const end = toMinutes(entry.end);
+
+    const yesterday = new Date(at);
+    yesterday.setDate(at.getDate() - 1);
+    const onDay = day => (entry.date ? entry.date === localDateKey(day) : entry.days.includes(day.getDay()));
+
+    if (start === end) return onDay(at);
+    if (start < end) return onDay(at) && minutes >= start && minutes < end;
+    // Overnight: starts on the listed day, ends the next morning
+    return (onDay(at) && minutes >= start) || (onDay(yesterday) && minutes < end);
+  }
+
+  /**
+   * The schedule entry in effect at a moment, or null
+   * Entries for a specific date win over weekday ones; otherwise the first match wins
+   */
+  function resolveScheduleEntry(schedule, at = new Date()) {
+    return schedule.find(entry => entry.date && scheduleCovers(entry, at)) ||
+      schedule.find(entry => !entry.date && scheduleCovers(entry, at)) ||
+      null;
+  }
+
+  function createRuleId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+  }
+
+  /**
+   * Keep only well-formed rules
+   */
+  function normalizeRules(rules) {
+    if (!Array.isArray(rules)) return [];
+
+    return rules.filter(rule => rule &&
+      typeof rule.pattern === 'string' &&
+      Object.values(RULE_FIELDS).includes(rule.field) &&
+      Object.values(MODES).includes(rule.action)
+    ).map(rule => ({
+      id: typeof rule.id === 'string' && rule.id ? rule.id : createRuleId(),
+      field: rule.field,
+      pattern: rule.pattern,
+      action: rule.action
+    }));
+  }
+
+  /**
+   * Bring raw settings of an older layout up to SCHEMA_VERSION
+   * Throws when they come from a newer version than this build knows
+   */
+  function migrate(raw, fromVersion) {
+    const version = Number.isInteger(fromVersion) ? fromVersion : 0;
+    if (version > SCHEMA_VERSION) {
+      throw new Error(`Settings version ${version} is newer than supported (${SCHEMA_VERSION})`);
+    }
+
+    let migrated = { ...raw };
+    for (let current = version; current < SCHEMA_VERSION; current++) {
+      migrated = MIGRATIONS[current](migrated);
+    }
+    return migrated;
+  }
+
+  /**
+   * Validate raw settings, replacing anything missing or out of range with defaults
+   */
+  function normalize(raw) {
+    const numbers = {};
+    Object.keys(LIMITS).forEach((key) => {
+      numbers[key] = clampNumber(key, raw[key]);
+    });
+
+    return {
+      ...numbers,
+      autoStart: raw.autoStart === true,
+      rules: normalizeRules(raw.rules),
+      schedule: normalizeSchedule(raw.schedule),
+      watchdog: raw.watchdog === true,
+      logLevel: normalizeLogLevel(raw.logLevel),
+      chatAnnouncement: raw.chatAnnouncement === true,
+      autoStartExternalOnly: raw.autoStartExternalOnly === true,
+      remindExternalOnly: raw.remindExternalOnly === true,
+      internalDomains: parseDomains(raw.internalDomains).join(', '),
+      integrationEnabled: raw.integrationEnabled === true,
+      integrationTarget: INTEGRATION_TARGETS.includes(raw.integrationTarget)
+        ? raw.integrationTarget
+        : DEFAULTS.integrationTarget,
+      webhookUrl: typeof raw.webhookUrl === 'string' ? raw.webhookUrl.trim() : '',
+      companionExtensionId: typeof raw.companionExtensionId === 'string' &&
+        EXTENSION_ID_PATTERN.test(raw.companionExtensionId.trim())
+        ? raw.companionExtensionId.trim()
+        : '',
+      chatAnnouncementTemplate: typeof raw.chatAnnouncementTemplate === 'string'
+        ? raw.chatAnnouncementTemplate.trim().slice(0, CHAT_TEMPLATE_MAX_LENGTH)
+        : '',
+      ...normalizeFeatures(raw)
+    };
+  }
+
+  /**
+   * Keep only policies this build understands, with values of the right type
+   * Administrators can enforce autoStart, rules, schedule, chatAnnouncement and
+   * chatAnnouncementTemplate (see managed_schema.json); enforced values replace
+   * the user's and lock the matching controls
+   */
+  function normalizePolicy(raw) {
+    const policy = {};
+    if (!raw || typeof raw !== 'object') return policy;
+
+    ['autoStart', 'chatAnnouncement'].forEach((key) => {
+      if (typeof raw[key] === 'boolean') policy[key] = raw[key];
+    });
+    if (Array.isArray(raw.rules)) {
+      policy.rules = normalizeRules(raw.rules);
+    }
+    if (Array.isArray(raw.schedule)) {
+      policy.schedule = normalizeSchedule(raw.schedule);
+    }
+    if (typeof raw.chatAnnouncementTemplate === 'string') {
+      policy.chatAnnouncementTemplate = raw.chatAnnouncementTemplate.trim().slice(0, CHAT_TEMPLATE_MAX_LENGTH);
+    }
+    return policy;
+  }
+
+  /**
+   * Unpacked builds have no update_url, store builds always do
+   */
+  function isUnpacked() {
+    return !('update_url' in chrome.runtime.getManifest());
+  }
+
+  function readArea(area, keys) {
+    return new Promise((resolve) => {
+      if (!area) {
+        resolve({});
+        return;
+      }
+      area.get(keys, (result) => {
+        // storage.managed reports an error when the platform has no policy store
+        resolve(chrome.runtime.lastError ? {} : (result || {}));
+      });
+    });
+  }
+
+  /**
+   * Read the enforced policies: managed storage, or the local stand-in in unpacked builds
+   * Resolves an object holding only the enforced keys
+   */
+  async function loadPolicy() {
+    const managed = normalizePolicy(await readArea(chrome.storage.managed, null));
+    if (Object.keys(managed).length > 0 || !isUnpacked()) return managed;
+
+    const local = await readArea(chrome.storage.local, [POLICY_STAND_IN_KEY]);
+    return normalizePolicy(local[POLICY_STAND_IN_KEY]);
+  }
+
+  /**
+   * Read the user's own settings from chrome.storage.sync, migrated and filled
+   * in with defaults, without enforced policies (what an export should contain)
+   */
+  function loadUserSettings() {
+    return new Promise((resolve) => {
+      chrome.storage.sync.get(null, (result) => {
+        let raw = result;
+        try {
+          raw = migrate(result, result[VERSION_KEY]);
+        } catch (error) {
+          console.warn('[Meet Transcription Reminder] Using settings as-is:', error.message);
+        }
+        resolve(normalize(raw));
+      });
+    });
+  }
+
+  /**
+   * Read settings from chrome.storage.sync, migrated, filled in with defaults
+   * and with enforced policies applied on top
+   */
+  function load() {
+    return Promise.all([loadUserSettings(), loadPolicy()]).then(([settings, policy]) => {
+      const merged = { ...settings, ...policy };
+      // Kept out of exports and saves, resolveMeetingMode needs to know what was enforced
+      Object.defineProperty(merged, 'policy', { value: policy });
+      return merged;
+    });
+  }
+
+  /**
+   * Whether a storage change can affect the loaded settings
+   */
+  function affectsSettings(changes, areaName) {
+    return areaName === 'sync' || areaName === 'managed' ||
+      (areaName === 'local' && POLICY_STAND_IN_KEY in changes);
+  }
+
+  /**
+   * Write migrated settings back once, e.g. after an extension update
+   */
+  function migrateStorage() {
+    return new Promise((resolve) => {
+      chrome.storage.sync.get(null, (result) => {
+        const version = result[VERSION_KEY] || 0;
+        if (version >= SCHEMA_VERSION) {
+          resolve(false);
+          return;
+        }
+
+        const migrated = migrate(result, version);
+        chrome.storage.sync.set({ ...migrated, [VERSION_KEY]: SCHEMA_VERSION }, () => resolve(true));
+      });
+    });
+  }
+
+  /**
+   * Settings as a shareable file: { settingsVersion, exportedAt, settings }
+   */
+  function exportSettings(settings) {
+    return {
+      [VERSION_KEY]: SCHEMA_VERSION,
+      exportedAt: new Date().toISOString(),
+      settings
+    };
+  }
+
+  /**
+   * Parse an exported file back into normalized settings of the current version
+   * Throws with a readable message when the file can't be used
+   */
+  function parseExport(data) {
+    if (!data || typeof data !== 'object' || !data.settings || typeof data.settings !== 'object') {
+      throw new Error('Not a settings export (missing "settings")');
+    }
+    const settings = normalize(migrate(data.settings, data[VERSION_KEY]));
+    if (!hasVerifiableFeature(settings)) {
+      throw new Error('Notes and transcript are both off, at least one has to be on');
+    }
+    return settings;
+  }
+
+  /**
+   * Store a full set of settings, stamped with the current version
+   */
+  function save(settings) {
+    return new Promise((resolve, reject) => {
+      chrome.storage.sync.set({ ...settings, [VERSION_KEY]: SCHEMA_VERSION }, () => {
+        // Quota errors only show up here, the callback runs either way
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  /**
+   * Compile a rule pattern into a RegExp
+   * "/expr/flags" is used as a regular expression, anything else is a
+   * case-insensitive wildcard where * matches any run and ? one character.
+   * Returns null when the pattern is empty or not a valid expression.
+   */
+  function compilePattern(pattern) {
+    if (typeof pattern !== 'string' || !pattern.trim()) return null;
+
+    const trimmed = pattern.trim();
+    const regexMatch = trimmed.match(/^\/(.+)\/([a-z]*)$/);
+
+    try {
+      if (regexMatch) {
+        return new RegExp(regexMatch[1], regexMatch[2]);
+      }
+
+      const source = trimmed
+        .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '.*')
+        .replace(/\?/g, '.');
+      return new RegExp(`^${source}$`, 'i');
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Pick the mode for a meeting: the first matching rule wins, then the schedule
+   * entry in effect at `at` (the join time), then the global auto-start toggle
+   * meeting: { code, title, room }
+   */
+  function resolveMeetingMode(settings, meeting, at = new Date()) {
+    const policy = settings.policy || {};
+
+    // A policy forcing auto-start on or off also overrides the user's own rules
+    // and schedule windows; the admin's rules and schedule still apply as given
+    const clamp = (mode, enforced) => {
+      if (enforced || typeof policy.autoStart !== 'boolean') return mode;
+      if (policy.autoStart) return MODES.AUTO_START;
+      return mode === MODES.AUTO_START ? MODES.REMIND : mode;
+    };
+
+    for (const rule of settings.rules) {
+      if (!Object.values(MODES).includes(rule.action)) continue;
+
+      const value = meeting[rule.field];
+      if (!value) continue;
+
+      const regex = compilePattern(rule.pattern);
+      if (regex && regex.test(value)) {
+        return { mode: clamp(rule.action, 'rules' in policy), rule, scheduleEntry: null };
+      }
+    }
+
+    const scheduleEntry = resolveScheduleEntry(settings.schedule, at);
+    if (scheduleEntry) {
+      return { mode: clamp(scheduleEntry.mode, 'schedule' in policy), rule: null, scheduleEntry };
+    }
+
+    return {
+      mode: settings.autoStart ? MODES.AUTO_START : MODES.REMIND,
+      rule: null,
+      scheduleEntry: null
+    };
+  }
+
+  global.MeetSettings = {
+    MODES,
+    RULE_FIELDS,
+    FEATURES,
+    LOG_LEVELS,
+    MODE_CONDITIONS,
+    DEFAULTS,
+    LIMITS,
+    CHAT_TEMPLATE_MAX_LENGTH,
+    SCHEMA_VERSION,
+    VERSION_KEY,
+    POLICY_STAND_IN_KEY,
+    load,
+    loadUserSettings,
+    loadPolicy,
+    affectsSettings,
+    save,
+    normalize,
+    migrate,
+    migrateStorage,
+    exportSettings,
+    parseExport,
+    createRuleId,
+    clampNumber,
+    normalizeLogLevel,
+    enabledFeatures,
+    hasVerifiableFeature,
+    compilePattern,
+    resolveMeetingMode,
+    resolveScheduleEntry,
+    parseDomains,
+    unmetConditions
+  };
+})(globalThis);
@@ -0,0 +1,190 @@
+// UI strategy packs for Meet Transcription Reminder
+// A pack holds all Meet-specific selectors and keywords as ordered fallback
+// strategies per detection step. The bundled pack ships in strategies/, an
+// override pack loaded from the options page takes precedence.
+(function (global) {
+  'use strict';
+
+  const SCHEMA_VERSION = 1;
+  const BUNDLED_PATH = 'strategies/default-pack.json';
+  const OVERRIDE_KEY = 'strategyPackOverride';
+
+  const STEPS = [
+    'meetingActive',
+    'trigger',
+    'triggerContainer',
+    'meetingTitle',
+    'actionButton',
+    'confirmationDialog',
+    'confirmButton',
+    'indicator'
+  ];
+
+  /**
+   * Steps for optional features (chat announcement, feature checkboxes, participant
+   * conditions, companion mode, breakout rooms); packs may leave them out, the feature
+   * then reports that it can't find its way around the UI
+   */
+  const OPTIONAL_STEPS = [
+    'featureCheckbox',
+    'chatButton',
+    'chatInput',
+    'chatSendButton',
+    'selfName',
+    'participant',
+    'participantCount',
+    'participantEmail',
+    'companionMode',
+    'breakoutRoom'
+  ];
+
+  const STRATEGY_TYPES = ['ligature', 'selector', 'closest', 'keywords'];
+
+  const keywordCache = new WeakMap();
+
+  function isValidSelector(selector) {
+    if (typeof selector !== 'string' || !selector.trim()) return false;
+    try {
+      document.createDocumentFragment().querySelector(selector);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Check a parsed pack against the schema
+   * Returns a list of problems, empty when the pack is usable
+   */
+  function validate(pack) {
+    if (!pack || typeof pack !== 'object') return ['Pack is not an object'];
+
+    const problems = [];
+    if (pack.schemaVersion !== SCHEMA_VERSION) {
+      problems.push(`Unsupported schemaVersion ${pack.schemaVersion} (expected ${SCHEMA_VERSION})`);
+    }
+    if (typeof pack.version !== 'string' || !pack.version) {
+      problems.push('Missing version');
+    }
+    if (!pack.steps || typeof pack.steps !== 'object') {
+      problems.push('Missing steps');
+      return problems;
+    }
+
+    const keywordSets = pack.keywords && typeof pack.keywords === 'object' ? pack.keywords : {};
+
+    STEPS.concat(OPTIONAL_STEPS).forEach((step) => {
+      const strategies = pack.steps[step];
+      if (strategies === undefined && OPTIONAL_STEPS.includes(step)) return;
+      if (!Array.isArray(strategies) || strategies.length === 0) {
+        problems.push(`Step "${step}" has no strategies`);
+        return;
+      }
+
+      strategies.forEach((strategy, index) => {
+        const where = `${step}[${index}]`;
+        if (!STRATEGY_TYPES.includes(strategy.type)) {
+          problems.push(`${where}: unknown type "${strategy.type}"`);
+        }
+        if (!isValidSelector(strategy.selector)) {
+          problems.push(`${where}: invalid selector`);
+        }
+        if (strategy.exclude !== undefined && !isValidSelector(strategy.exclude)) {
+          problems.push(`${where}: invalid exclude selector`);
+        }
+        if (strategy.type === 'ligature' && typeof strategy.value !== 'string') {
+          problems.push(`${where}: ligature needs a value`);
+        }
+        if (strategy.keywords !== undefined && !keywordSets[strategy.keywords]) {
+          problems.push(`${where}: unknown keyword set "${strategy.keywords}"`);
+        }
+        if (strategy.type === 'keywords' && strategy.keywords === undefined) {
+          problems.push(`${where}: keywords strategy needs a keyword set`);
+        }
+      });
+    });
+
+    Object.entries(keywordSets).forEach(([name, locales]) => {
+      const valid = locales && typeof locales === 'object' &&
+        Object.values(locales).every(list => Array.isArray(list) && list.every(k => typeof k === 'string'));
+      if (!valid) {
+        problems.push(`Keyword set "${name}" must map locales to string lists`);
+      }
+    });
+
+    return problems;
+  }
+
+  function loadBundled() {
+    return fetch(chrome.runtime.getURL(BUNDLED_PATH)).then(response => response.json());
+  }
+
+  function getOverride() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get([OVERRIDE_KEY], (result) => resolve(result[OVERRIDE_KEY] || null));
+    });
+  }
+
+  function setOverride(pack) {
+    return new Promise((resolve) => {
+      chrome.storage.local.set({ [OVERRIDE_KEY]: pack }, resolve);
+    });
+  }
+
+  function clearOverride() {
+    return new Promise((resolve) => {
+      chrome.storage.local.remove(OVERRIDE_KEY, resolve);
+    });
+  }
+
+  /**
+   * Load the active pack: a valid override wins, otherwise the bundled one
+   * Resolves { pack, source } where source is "override" or "bundled"
+   */
+  async function load() {
+    const override = await getOverride();
+    if (override) {
+      const problems = validate(override);
+      if (problems.length === 0) {
+        return { pack: override, source: 'override' };
+      }
+      console.warn('[Meet Transcription Reminder] Ignoring invalid override pack:', problems);
+    }
+
+    return { pack: await loadBundled(), source: 'bundled' };
+  }
+
+  /**
+   * All keywords of a set across every locale, lowercased
+   * Meet's UI language can differ from the extension's, so all locales are searched
+   */
+  function keywordsFor(pack, setName) {
+    let sets = keywordCache.get(pack);
+    if (!sets) {
+      sets = {};
+      keywordCache.set(pack, sets);
+    }
+
+    if (!sets[setName]) {
+      const locales = (pack.keywords && pack.keywords[setName]) || {};
+      const all = Object.values(locales).flat().map(keyword => keyword.toLowerCase());
+      sets[setName] = [...new Set(all)];
+    }
+    return sets[setName];
+  }
+
+  global.MeetStrategyPack = {
+    SCHEMA_VERSION,
+    BUNDLED_PATH,
+    OVERRIDE_KEY,
+    STEPS,
+    OPTIONAL_STEPS,
+    validate,
+    load,
+    loadBundled,
+    getOverride,
+    setOverride,
+    clearOverride,
+    keywordsFor
+  };
+})(globalThis);
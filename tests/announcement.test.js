@@ -0,0 +1,29 @@
+// Chat announcement wording, kept apart from the indicator keywords
+// Usage: node tests/announcement.test.js (or node --test tests/)
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { ROOT } = require('./harness');
+
+const pack = JSON.parse(fs.readFileSync(path.join(ROOT, 'strategies', 'default-pack.json'), 'utf8'));
+const locales = fs.readdirSync(path.join(ROOT, '_locales'));
+
+test('the default announcement shares no phrase with the indicator keyword sets', () => {
+  // Posted to chat, the announcement must never read as Meet's own indicator
+  const keywords = Object.entries(pack.keywords)
+    .filter(([set]) => set.startsWith('indicator'))
+    .flatMap(([, byLocale]) => Object.values(byLocale).flat())
+    .map(keyword => keyword.toLowerCase());
+  assert.ok(keywords.length > 0);
+
+  locales.forEach((locale) => {
+    const messages = JSON.parse(fs.readFileSync(path.join(ROOT, '_locales', locale, 'messages.json'), 'utf8'));
+    const text = messages.chatAnnouncementDefault.message.toLowerCase();
+    keywords.forEach((keyword) => {
+      assert.ok(!text.includes(keyword), `${locale} announcement contains indicator keyword "${keyword}"`);
+    });
+  });
+});
@@ -0,0 +1,130 @@
+// Benchmark: detection work on a large call while the page keeps changing
+// Loads a large-meeting page, streams chat messages, joins and mic toggles for a
+// virtual minute, adds the Gemini trigger 45 s in, and reports how many elements
+// selector matching visited and how long the trigger took to prompt. Runs twice:
+// as shipped, and as a baseline with the miss cache off, so every lookup rescans
+// the whole document instead of only the nodes added since it last missed.
+//
+// The page defaults to tests/fixtures/large-meeting.html. To benchmark a page
+// recorded from a real call, run this in the console of the Meet tab, save the
+// copied text to a file and pass its path:
+//   const page = document.documentElement.cloneNode(true);
+//   page.querySelectorAll('script, style, iframe, svg').forEach(node => node.remove());
+//   copy(page.outerHTML);
+//
+// Usage: node tests/bench-detection.js [recorded-page.html]
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { createPage } = require('./harness');
+const { stats } = require('./dom');
+
+const DURATION = 60000;
+const STEP = 250;
+const TRIGGER_AT = 45000;
+const HOST_ID = 'meet-transcription-reminder-host';
+
+const TRIGGER_HTML = '<div class="U26fgb" data-is-tooltip-wrapper="true"><button class="VfPpkd-Bz112c-LgbsSe" ' +
+  'aria-label="Take notes with Gemini" jsaction="click:cOuCgd"><i class="google-material-icons" aria-hidden="true">pen_spark</i></button></div>';
+
+function chatMessage(n) {
+  return `<div class="Ss4fHf" data-sender-id="spaces/AAQA/devices/${n % 80}"><div class="QTyiie"><div class="poVWob">Guest ${n}</div>` +
+    `<div class="MuzmKe">11:${String(n % 60).padStart(2, '0')}</div></div><div class="beTDc"><div>Message ${n}</div></div></div>`;
+}
+
+function participantTile(n) {
+  return `<div class="oZRSLe" data-participant-id="spaces/AAQA/devices/${500 + n}"><div class="koV58"><img alt="" src="data:,">` +
+    `<span class="zWGUib">Late joiner ${n}</span><button aria-label="More options for Late joiner ${n}">` +
+    '<i class="google-material-icons" aria-hidden="true">more_vert</i></button></div></div>';
+}
+
+const BASELINE_CONFIG = { STEP_MISS_TTL: 0 };
+
+/**
+ * First match of the selectors, or the page body, so recorded pages work too
+ */
+function pick(document, ...selectors) {
+  for (const selector of selectors) {
+    const element = document.querySelector(selector);
+    if (element) return element;
+  }
+  return document.body;
+}
+
+/**
+ * One virtual minute of the call, returns { elements, visited, wallMs, promptedAt }
+ */
+async function replay(html, config) {
+  const page = createPage({ html, settings: { logLevel: 'warn' }, config });
+  const { document, clock } = page;
+
+  const chat = pick(document, '[aria-live="polite"]', '[aria-live]');
+  const tile = document.querySelector('[data-participant-id]');
+  const grid = tile ? tile.parentElement : document.body;
+  const leave = document.querySelector('[jsaction*="leave"], button[aria-label^="Leave"]');
+  const controls = leave ? leave.closest('div').parentElement : document.body;
+  const micIcons = Array.from(document.querySelectorAll('i'))
+    .filter(icon => /^mic(_off)?$/.test(icon.textContent.trim()));
+
+  await page.load();
+  await clock.advance(1500);
+
+  stats.visited = 0;
+  const startedAt = process.hrtime.bigint();
+  let promptedAt = null;
+
+  for (let time = 0, step = 0; time < DURATION; time += STEP, step++) {
+    page.insert(chatMessage(step), chat);
+    if (step % 8 === 0) {
+      page.insert(participantTile(step), grid);
+    }
+    if (step % 4 === 0 && micIcons.length > 0) {
+      const icon = micIcons[step % micIcons.length];
+      icon.textContent = icon.textContent === 'mic' ? 'mic_off' : 'mic';
+    }
+    if (time === TRIGGER_AT) {
+      page.insert(TRIGGER_HTML, controls);
+    }
+
+    await clock.advance(STEP);
+
+    if (promptedAt === null && document.getElementById(HOST_ID)) {
+      promptedAt = time + STEP;
+    }
+  }
+
+  return {
+    elements: document.querySelectorAll('*').length,
+    visited: stats.visited,
+    wallMs: Number(process.hrtime.bigint() - startedAt) / 1e6,
+    promptedAt
+  };
+}
+
+function prompted(result) {
+  return result.promptedAt === null ? 'never' : `${result.promptedAt - TRIGGER_AT} ms`;
+}
+
+async function run() {
+  const file = process.argv[2] || path.join(__dirname, 'fixtures', 'large-meeting.html');
+  const html = fs.readFileSync(file, 'utf8');
+
+  const baseline = await replay(html, BASELINE_CONFIG);
+  const current = await replay(html, {});
+
+  const column = value => String(value).padStart(12);
+  console.log(`Page:                      ${path.relative(process.cwd(), file)}, ${current.elements} elements at the end`);
+  console.log(`                           ${column('baseline')}${column('current')}`);
+  console.log(`Elements visited:          ${column(baseline.visited)}${column(current.visited)}` +
+    `   (${(100 * (1 - current.visited / baseline.visited)).toFixed(0)}% fewer)`);
+  console.log(`Wall time (ms):            ${column(baseline.wallMs.toFixed(0))}${column(current.wallMs.toFixed(0))}` +
+    `   for ${DURATION / 1000} s of meeting`);
+  console.log(`Trigger prompted after:    ${column(prompted(baseline))}${column(prompted(current))}`);
+  if (baseline.promptedAt === null || current.promptedAt === null) process.exitCode = 1;
+}
+
+run().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,894 @@
+// Minimal DOM for running the content script under plain node
+// Covers what content.js and the pack selectors use: an HTML parser, a selector
+// engine, shadow roots, mutation observers and events. stats.visited counts the
+// elements selector matching looks at, which is what the benchmark measures.
+'use strict';
+
+const ELEMENT_NODE = 1;
+const TEXT_NODE = 3;
+const COMMENT_NODE = 8;
+const DOCUMENT_NODE = 9;
+const DOCUMENT_FRAGMENT_NODE = 11;
+
+const VOID_TAGS = new Set(['area', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'wbr']);
+const RAW_TEXT_TAGS = new Set(['script', 'style', 'textarea', 'title']);
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+const stats = { visited: 0 };
+
+// ============================================
+// EVENTS
+// ============================================
+
+class Event {
+  constructor(type, init = {}) {
+    this.type = type;
+    this.bubbles = Boolean(init.bubbles);
+    this.cancelable = Boolean(init.cancelable);
+    this.composed = Boolean(init.composed);
+    this.defaultPrevented = false;
+    this.target = null;
+    this.currentTarget = null;
+    this.propagationStopped = false;
+    Object.keys(init).forEach((key) => {
+      if (!(key in this)) this[key] = init[key];
+    });
+  }
+
+  preventDefault() {
+    if (this.cancelable) this.defaultPrevented = true;
+  }
+
+  stopPropagation() {
+    this.propagationStopped = true;
+  }
+
+  stopImmediatePropagation() {
+    this.propagationStopped = true;
+  }
+}
+
+class MouseEvent extends Event {}
+class PointerEvent extends MouseEvent {}
+class KeyboardEvent extends Event {}
+
+class EventTarget {
+  constructor() {
+    this.listeners = new Map();
+  }
+
+  addEventListener(type, listener) {
+    if (!listener) return;
+    if (!this.listeners.has(type)) this.listeners.set(type, []);
+    const list = this.listeners.get(type);
+    if (!list.includes(listener)) list.push(listener);
+  }
+
+  removeEventListener(type, listener) {
+    const list = this.listeners.get(type);
+    if (list) this.listeners.set(type, list.filter(l => l !== listener));
+  }
+
+  dispatchEvent(event) {
+    if (!event.target) event.target = this;
+
+    // Bubble through parents, and out of shadow roots for composed events
+    let current = this;
+    while (current) {
+      event.currentTarget = current;
+      (current.listeners.get(event.type) || []).slice().forEach((listener) => {
+        if (typeof listener === 'function') {
+          listener.call(current, event);
+        } else {
+          listener.handleEvent(event);
+        }
+      });
+      if (!event.bubbles || event.propagationStopped) break;
+      current = current.parentNode || (event.composed && current.host) || null;
+    }
+    return !event.defaultPrevented;
+  }
+}
+
+// ============================================
+// MUTATION OBSERVERS
+// ============================================
+
+class MutationObserver {
+  constructor(callback) {
+    this.callback = callback;
+    this.targets = [];
+    this.records = [];
+    this.scheduled = false;
+  }
+
+  observe(target, options = {}) {
+    const document = target.ownerDocument || target;
+    this.targets = this.targets.filter(entry => entry.target !== target);
+    this.targets.push({ target, options });
+    document.observers.add(this);
+  }
+
+  disconnect() {
+    this.targets.forEach(({ target }) => (target.ownerDocument || target).observers.delete(this));
+    this.targets = [];
+    this.records = [];
+  }
+
+  takeRecords() {
+    const records = this.records;
+    this.records = [];
+    return records;
+  }
+
+  /**
+   * Queue a record if one of the observed targets covers it
+   */
+  notify(record, kind) {
+    const covered = this.targets.some(({ target, options }) => {
+      if (!options[kind]) return false;
+      if (kind === 'attributes' && options.attributeFilter && !options.attributeFilter.includes(record.attributeName)) {
+        return false;
+      }
+      return record.target === target || (options.subtree && target.contains(record.target));
+    });
+    if (!covered) return;
+
+    this.records.push(record);
+    if (this.scheduled) return;
+    this.scheduled = true;
+    queueMicrotask(() => {
+      this.scheduled = false;
+      const records = this.takeRecords();
+      if (records.length > 0) this.callback(records, this);
+    });
+  }
+}
+
+function notifyObservers(node, record, kind) {
+  const document = node.nodeType === DOCUMENT_NODE ? node : node.ownerDocument;
+  if (!document || document.observers.size === 0) return;
+  [...document.observers].forEach(observer => observer.notify(record, kind));
+}
+
+// ============================================
+// NODES
+// ============================================
+
+class Node extends EventTarget {
+  constructor(nodeType, ownerDocument) {
+    super();
+    this.nodeType = nodeType;
+    this.ownerDocument = ownerDocument;
+    this.parentNode = null;
+    this.childNodes = [];
+  }
+
+  get parentElement() {
+    return this.parentNode && this.parentNode.nodeType === ELEMENT_NODE ? this.parentNode : null;
+  }
+
+  get children() {
+    return this.childNodes.filter(node => node.nodeType === ELEMENT_NODE);
+  }
+
+  get firstChild() {
+    return this.childNodes[0] || null;
+  }
+
+  get lastChild() {
+    return this.childNodes[this.childNodes.length - 1] || null;
+  }
+
+  get firstElementChild() {
+    return this.children[0] || null;
+  }
+
+  get nextSibling() {
+    if (!this.parentNode) return null;
+    const siblings = this.parentNode.childNodes;
+    return siblings[siblings.indexOf(this) + 1] || null;
+  }
+
+  get previousSibling() {
+    if (!this.parentNode) return null;
+    const siblings = this.parentNode.childNodes;
+    return siblings[siblings.indexOf(this) - 1] || null;
+  }
+
+  get isConnected() {
+    let node = this;
+    while (node) {
+      if (node.nodeType === DOCUMENT_NODE) return true;
+      node = node.parentNode || node.host || null;
+    }
+    return false;
+  }
+
+  get textContent() {
+    return this.childNodes
+      .filter(node => node.nodeType !== COMMENT_NODE)
+      .map(node => node.textContent)
+      .join('');
+  }
+
+  set textContent(value) {
+    this.replaceChildren();
+    if (value !== '' && value !== null && value !== undefined) {
+      this.appendChild(this.ownerDocument.createTextNode(String(value)));
+    }
+  }
+
+  contains(other) {
+    for (let node = other; node; node = node.parentNode) {
+      if (node === this) return true;
+    }
+    return false;
+  }
+
+  appendChild(child) {
+    return this.insertBefore(child, null);
+  }
+
+  insertBefore(child, reference) {
+    const nodes = child.nodeType === DOCUMENT_FRAGMENT_NODE && !child.host ? [...child.childNodes] : [child];
+    nodes.forEach((node) => {
+      if (node.parentNode) node.parentNode.removeChild(node);
+      node.parentNode = this;
+      const index = reference ? this.childNodes.indexOf(reference) : -1;
+      if (index >= 0) {
+        this.childNodes.splice(index, 0, node);
+      } else {
+        this.childNodes.push(node);
+      }
+    });
+    if (nodes.length > 0) {
+      notifyObservers(this, { type: 'childList', target: this, addedNodes: nodes, removedNodes: [] }, 'childList');
+    }
+    return child;
+  }
+
+  removeChild(child) {
+    const index = this.childNodes.indexOf(child);
+    if (index < 0) throw new Error('Not a child of this node');
+    this.childNodes.splice(index, 1);
+    child.parentNode = null;
+    notifyObservers(this, { type: 'childList', target: this, addedNodes: [], removedNodes: [child] }, 'childList');
+    return child;
+  }
+
+  replaceChildren(...nodes) {
+    [...this.childNodes].forEach(node => this.removeChild(node));
+    nodes.forEach(node => this.appendChild(node));
+  }
+
+  append(...nodes) {
+    nodes.forEach(node => this.appendChild(typeof node === 'string' ? this.ownerDocument.createTextNode(node) : node));
+  }
+
+  remove() {
+    if (this.parentNode) this.parentNode.removeChild(this);
+  }
+
+  // Browsers keep an id index, so this doesn't count towards stats.visited
+  getElementById(id) {
+    const walk = (node) => {
+      for (const child of node.children) {
+        if (child.getAttribute('id') === id) return child;
+        const found = walk(child);
+        if (found) return found;
+      }
+      return null;
+    };
+    return walk(this);
+  }
+
+  querySelector(selector) {
+    return this.querySelectorAll(selector, true)[0] || null;
+  }
+
+  querySelectorAll(selector, firstOnly = false) {
+    const list = parseSelector(selector);
+    const found = [];
+    const walk = (node) => {
+      for (const child of node.childNodes) {
+        if (child.nodeType !== ELEMENT_NODE) continue;
+        stats.visited++;
+        if (list.some(complex => matchesComplex(child, complex))) {
+          found.push(child);
+          if (firstOnly) return true;
+        }
+        if (walk(child)) return true;
+      }
+      return false;
+    };
+    walk(this);
+    return found;
+  }
+
+  set innerHTML(html) {
+    this.replaceChildren();
+    parseHtml(String(html), this.ownerDocument).forEach(node => this.appendChild(node));
+  }
+
+  get innerHTML() {
+    return this.childNodes.map(serialize).join('');
+  }
+}
+
+Object.assign(Node, { ELEMENT_NODE, TEXT_NODE, COMMENT_NODE, DOCUMENT_NODE, DOCUMENT_FRAGMENT_NODE });
+
+class Text extends Node {
+  constructor(data, ownerDocument) {
+    super(TEXT_NODE, ownerDocument);
+    this.dataValue = data;
+  }
+
+  get data() {
+    return this.dataValue;
+  }
+
+  set data(value) {
+    this.dataValue = String(value);
+    notifyObservers(this, { type: 'characterData', target: this, addedNodes: [], removedNodes: [] }, 'characterData');
+  }
+
+  get nodeValue() {
+    return this.data;
+  }
+
+  get textContent() {
+    return this.dataValue;
+  }
+
+  set textContent(value) {
+    this.data = value;
+  }
+}
+
+class Comment extends Node {
+  constructor(data, ownerDocument) {
+    super(COMMENT_NODE, ownerDocument);
+    this.data = data;
+  }
+
+  get textContent() {
+    return this.data;
+  }
+}
+
+class ClassList {
+  constructor(element) {
+    this.element = element;
+  }
+
+  values() {
+    return (this.element.getAttribute('class') || '').split(/\s+/).filter(Boolean);
+  }
+
+  contains(name) {
+    return this.values().includes(name);
+  }
+
+  add(...names) {
+    this.element.setAttribute('class', [...new Set([...this.values(), ...names])].join(' '));
+  }
+
+  remove(...names) {
+    this.element.setAttribute('class', this.values().filter(name => !names.includes(name)).join(' '));
+  }
+
+  toggle(name, force) {
+    const on = force === undefined ? !this.contains(name) : force;
+    if (on) this.add(name); else this.remove(name);
+    return on;
+  }
+}
+
+class Element extends Node {
+  constructor(tagName, ownerDocument) {
+    super(ELEMENT_NODE, ownerDocument);
+    this.localName = tagName.toLowerCase();
+    this.tagName = this.localName.toUpperCase();
+    this.attributeMap = new Map();
+    this.style = { cssText: '' };
+    this.classList = new ClassList(this);
+    this.shadow = null;
+    this.value = '';
+    this.checked = false;
+  }
+
+  get nodeName() {
+    return this.tagName;
+  }
+
+  get attributes() {
+    return [...this.attributeMap].map(([name, value]) => ({ name, value }));
+  }
+
+  getAttribute(name) {
+    const value = this.attributeMap.get(name.toLowerCase());
+    return value === undefined ? null : value;
+  }
+
+  hasAttribute(name) {
+    return this.attributeMap.has(name.toLowerCase());
+  }
+
+  setAttribute(name, value) {
+    const attributeName = name.toLowerCase();
+    this.attributeMap.set(attributeName, String(value));
+    if (attributeName === 'value') this.value = String(value);
+    notifyObservers(this, { type: 'attributes', target: this, attributeName, addedNodes: [], removedNodes: [] }, 'attributes');
+  }
+
+  removeAttribute(name) {
+    const attributeName = name.toLowerCase();
+    if (!this.attributeMap.delete(attributeName)) return;
+    notifyObservers(this, { type: 'attributes', target: this, attributeName, addedNodes: [], removedNodes: [] }, 'attributes');
+  }
+
+  get id() {
+    return this.getAttribute('id') || '';
+  }
+
+  set id(value) {
+    this.setAttribute('id', value);
+  }
+
+  get className() {
+    return this.getAttribute('class') || '';
+  }
+
+  set className(value) {
+    this.setAttribute('class', value);
+  }
+
+  get disabled() {
+    return this.hasAttribute('disabled');
+  }
+
+  set disabled(value) {
+    if (value) this.setAttribute('disabled', ''); else this.removeAttribute('disabled');
+  }
+
+  get hidden() {
+    return this.hasAttribute('hidden');
+  }
+
+  set hidden(value) {
+    if (value) this.setAttribute('hidden', ''); else this.removeAttribute('hidden');
+  }
+
+  get type() {
+    return this.getAttribute('type') || (this.localName === 'button' ? 'submit' : 'text');
+  }
+
+  set type(value) {
+    this.setAttribute('type', value);
+  }
+
+  get href() {
+    return this.getAttribute('href') || '';
+  }
+
+  set href(value) {
+    this.setAttribute('href', value);
+  }
+
+  get download() {
+    return this.getAttribute('download') || '';
+  }
+
+  set download(value) {
+    this.setAttribute('download', value);
+  }
+
+  get outerHTML() {
+    return serialize(this);
+  }
+
+  matches(selector) {
+    stats.visited++;
+    return parseSelector(selector).some(complex => matchesComplex(this, complex));
+  }
+
+  closest(selector) {
+    const list = parseSelector(selector);
+    for (let element = this; element; element = element.parentElement) {
+      stats.visited++;
+      if (list.some(complex => matchesComplex(element, complex))) return element;
+    }
+    return null;
+  }
+
+  attachShadow() {
+    this.shadow = new ShadowRoot(this);
+    return this.shadow;
+  }
+
+  get shadowRoot() {
+    return null; // Content scripts only attach closed roots
+  }
+
+  focus() {
+    const root = this.getRootNode();
+    if (root.nodeType === DOCUMENT_FRAGMENT_NODE && root.host) {
+      root.activeElement = this;
+      root.host.focus();
+      return;
+    }
+    this.ownerDocument.activeElement = this;
+  }
+
+  blur() {
+    if (this.ownerDocument.activeElement === this) this.ownerDocument.activeElement = this.ownerDocument.body;
+  }
+
+  click() {
+    this.dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true, composed: true }));
+  }
+
+  getRootNode() {
+    let node = this;
+    while (node.parentNode) node = node.parentNode;
+    return node;
+  }
+
+  getBoundingClientRect() {
+    const hidden = this.hidden || /display:\s*none/.test(this.style.cssText || '') || !this.isConnected;
+    const width = hidden ? 0 : 120;
+    const height = hidden ? 0 : 32;
+    return { x: 0, y: 0, top: 0, left: 0, right: width, bottom: height, width, height };
+  }
+
+  scrollIntoView() {}
+}
+
+class DocumentFragment extends Node {
+  constructor(ownerDocument) {
+    super(DOCUMENT_FRAGMENT_NODE, ownerDocument);
+  }
+}
+
+class ShadowRoot extends DocumentFragment {
+  constructor(host) {
+    super(host.ownerDocument);
+    this.host = host;
+    this.activeElement = null;
+  }
+}
+
+class Document extends Node {
+  constructor() {
+    super(DOCUMENT_NODE, null);
+    this.observers = new Set();
+    this.readyState = 'complete';
+    this.hidden = false;
+    this.visibilityState = 'visible';
+    this.title = '';
+    this.documentElement = this.createElement('html');
+    this.head = this.createElement('head');
+    this.body = this.createElement('body');
+    this.documentElement.appendChild(this.head);
+    this.documentElement.appendChild(this.body);
+    this.appendChild(this.documentElement);
+    this.activeElement = this.body;
+  }
+
+  createElement(tagName) {
+    return new Element(tagName, this);
+  }
+
+  createTextNode(data) {
+    return new Text(String(data), this);
+  }
+
+  createComment(data) {
+    return new Comment(String(data), this);
+  }
+
+  createDocumentFragment() {
+    return new DocumentFragment(this);
+  }
+
+  execCommand() {
+    return false;
+  }
+}
+
+// ============================================
+// HTML
+// ============================================
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return ENTITIES[name.toLowerCase()] || entity;
+  });
+}
+
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Parse an HTML fragment into detached nodes owned by document
+ * Enough for templates and fixtures: no implied tags, no error recovery
+ */
+function parseHtml(html, document) {
+  const root = document.createDocumentFragment();
+  const stack = [root];
+  const top = () => stack[stack.length - 1];
+  const tagPattern = /<!--([\s\S]*?)-->|<!doctype[^>]*>|<\/([a-zA-Z][\w-]*)\s*>|<([a-zA-Z][\w-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'>]+))?)*)\s*(\/?)>/gi;
+  const attributePattern = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+
+  let last = 0;
+  let match;
+  while ((match = tagPattern.exec(html))) {
+    if (match.index > last) {
+      top().appendChild(document.createTextNode(decodeEntities(html.slice(last, match.index))));
+    }
+    last = tagPattern.lastIndex;
+
+    const [, comment, closing, opening, attributeText, selfClosing] = match;
+    if (comment !== undefined) {
+      top().appendChild(document.createComment(comment));
+    } else if (closing) {
+      const name = closing.toLowerCase();
+      const index = stack.map(node => node.localName).lastIndexOf(name);
+      if (index > 0) stack.length = index;
+    } else if (opening) {
+      const element = document.createElement(opening);
+      let attribute;
+      while ((attribute = attributePattern.exec(attributeText))) {
+        const value = attribute[2] !== undefined ? attribute[2] : attribute[3] !== undefined ? attribute[3] : attribute[4];
+        element.setAttribute(attribute[1], decodeEntities(value === undefined ? '' : value));
+      }
+      top().appendChild(element);
+
+      const name = element.localName;
+      if (RAW_TEXT_TAGS.has(name)) {
+        const end = html.toLowerCase().indexOf(`</${name}`, last);
+        const text = html.slice(last, end < 0 ? html.length : end);
+        if (text) element.appendChild(document.createTextNode(name === 'textarea' || name === 'title' ? decodeEntities(text) : text));
+        tagPattern.lastIndex = end < 0 ? html.length : html.indexOf('>', end) + 1;
+        last = tagPattern.lastIndex;
+      } else if (!selfClosing && !VOID_TAGS.has(name)) {
+        stack.push(element);
+      }
+    }
+  }
+  if (last < html.length) {
+    top().appendChild(document.createTextNode(decodeEntities(html.slice(last))));
+  }
+  return [...root.childNodes];
+}
+
+function serialize(node) {
+  if (node.nodeType === TEXT_NODE) return escapeHtml(node.data);
+  if (node.nodeType === COMMENT_NODE) return `<!--${node.data}-->`;
+  const attributes = node.attributes.map(({ name, value }) => ` ${name}="${escapeHtml(value)}"`).join('');
+  if (VOID_TAGS.has(node.localName)) return `<${node.localName}${attributes}>`;
+  return `<${node.localName}${attributes}>${node.childNodes.map(serialize).join('')}</${node.localName}>`;
+}
+
+// ============================================
+// SELECTORS
+// ============================================
+
+const selectorCache = new Map();
+
+function cssEscape(value) {
+  return String(value).replace(/[^a-zA-Z0-9_-]/g, character => `\\${character}`);
+}
+
+/**
+ * Split on a separator outside brackets, parentheses and quotes
+ */
+function splitTopLevel(text, separator) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let current = '';
+  for (let i = 0; i < text.length; i++) {
+    const character = text[i];
+    if (character === '\\') {
+      current += character + text[++i];
+      continue;
+    }
+    if (quote) {
+      if (character === quote) quote = null;
+    } else if (character === separator && depth === 0) {
+      parts.push(current);
+      current = '';
+      continue;
+    } else if (character === '"' || character === "'") {
+      quote = character;
+    } else if (character === '[' || character === '(') {
+      depth++;
+    } else if (character === ']' || character === ')') {
+      depth--;
+    }
+    current += character;
+  }
+  parts.push(current);
+  return parts;
+}
+
+/**
+ * Parse a selector list into complex selectors, each a list of
+ * { compound, combinator } from left to right
+ */
+function parseSelector(selector) {
+  if (selectorCache.has(selector)) return selectorCache.get(selector);
+
+  const list = splitTopLevel(selector, ',').map((part) => {
+    const complex = [];
+    const pattern = /\s*([>+~])\s*|\s+/y;
+    let text = part.trim();
+    let combinator = ' ';
+    while (text) {
+      const { compound, rest } = parseCompound(text);
+      complex.push({ compound, combinator });
+      pattern.lastIndex = 0;
+      const separator = pattern.exec(rest);
+      combinator = separator ? (separator[1] || ' ') : ' ';
+      text = separator ? rest.slice(pattern.lastIndex) : rest;
+      if (!separator && rest) throw new Error(`Unsupported selector: ${selector}`);
+    }
+    return complex;
+  });
+  selectorCache.set(selector, list);
+  return list;
+}
+
+function parseCompound(text) {
+  const compound = { tag: null, ids: [], classes: [], attributes: [], pseudos: [] };
+  let i = 0;
+  const readName = () => {
+    const match = /^(?:\\.|[\w-])+/.exec(text.slice(i));
+    if (!match) throw new Error(`Unsupported selector near: ${text.slice(i)}`);
+    i += match[0].length;
+    return match[0].replace(/\\(.)/g, '$1');
+  };
+
+  if (text[i] === '*') {
+    i++;
+  } else if (/[a-zA-Z]/.test(text[i])) {
+    compound.tag = readName().toLowerCase();
+  }
+
+  while (i < text.length && !/[\s>+~]/.test(text[i])) {
+    const character = text[i];
+    if (character === '#') {
+      i++;
+      compound.ids.push(readName());
+    } else if (character === '.') {
+      i++;
+      compound.classes.push(readName());
+    } else if (character === '[') {
+      const end = splitTopLevel(text.slice(i + 1), ']')[0].length + i + 1;
+      const body = text.slice(i + 1, end);
+      const match = /^\s*([\w-]+)\s*(?:([~^$*|]?=)\s*(?:"([^"]*)"|'([^']*)'|([^\s\]]+))\s*(i)?)?\s*$/.exec(body);
+      if (!match) throw new Error(`Unsupported attribute selector: [${body}]`);
+      compound.attributes.push({
+        name: match[1].toLowerCase(),
+        operator: match[2] || null,
+        value: match[3] !== undefined ? match[3] : match[4] !== undefined ? match[4] : match[5],
+        insensitive: Boolean(match[6])
+      });
+      i = end + 1;
+    } else if (character === ':') {
+      i++;
+      const name = readName().toLowerCase();
+      let argument = null;
+      if (text[i] === '(') {
+        const end = splitTopLevel(text.slice(i + 1), ')')[0].length + i + 1;
+        argument = text.slice(i + 1, end);
+        i = end + 1;
+      }
+      if (!['not', 'disabled', 'enabled', 'checked'].includes(name)) {
+        throw new Error(`Unsupported pseudo-class: :${name}`);
+      }
+      compound.pseudos.push({ name, list: name === 'not' ? parseSelector(argument) : null });
+    } else {
+      throw new Error(`Unsupported selector near: ${text.slice(i)}`);
+    }
+  }
+  return { compound, rest: text.slice(i) };
+}
+
+function matchesAttribute(element, { name, operator, value, insensitive }) {
+  let actual = element.getAttribute(name);
+  if (actual === null) return false;
+  if (!operator) return true;
+
+  let expected = value;
+  if (insensitive) {
+    actual = actual.toLowerCase();
+    expected = expected.toLowerCase();
+  }
+  switch (operator) {
+    case '=': return actual === expected;
+    case '~=': return actual.split(/\s+/).includes(expected);
+    case '^=': return expected !== '' && actual.startsWith(expected);
+    case '$=': return expected !== '' && actual.endsWith(expected);
+    case '*=': return expected !== '' && actual.includes(expected);
+    case '|=': return actual === expected || actual.startsWith(`${expected}-`);
+    default: return false;
+  }
+}
+
+function matchesCompound(element, compound) {
+  if (compound.tag && element.localName !== compound.tag) return false;
+  if (compound.ids.some(id => element.id !== id)) return false;
+  if (compound.classes.some(name => !element.classList.contains(name))) return false;
+  if (compound.attributes.some(attribute => !matchesAttribute(element, attribute))) return false;
+  return compound.pseudos.every(({ name, list }) => {
+    switch (name) {
+      case 'not': return !list.some(complex => matchesComplex(element, complex));
+      case 'disabled': return element.disabled;
+      case 'enabled': return !element.disabled;
+      case 'checked': return element.checked;
+      default: return false;
+    }
+  });
+}
+
+/**
+ * Match right to left, ancestors outside the queried subtree count too
+ */
+function matchesComplex(element, complex, index = complex.length - 1) {
+  const { compound, combinator } = complex[index];
+  if (!matchesCompound(element, compound)) return false;
+  if (index === 0) return true;
+
+  const parentOf = node => (node.parentNode && node.parentNode.nodeType === ELEMENT_NODE ? node.parentNode : null);
+  switch (combinator) {
+    case '>': {
+      const parent = parentOf(element);
+      return Boolean(parent) && matchesComplex(parent, complex, index - 1);
+    }
+    case '+': {
+      const previous = element.parentNode && element.parentNode.children[element.parentNode.children.indexOf(element) - 1];
+      return Boolean(previous) && matchesComplex(previous, complex, index - 1);
+    }
+    case '~': {
+      const siblings = element.parentNode ? element.parentNode.children : [];
+      return siblings.slice(0, siblings.indexOf(element)).some(sibling => matchesComplex(sibling, complex, index - 1));
+    }
+    default:
+      for (let ancestor = parentOf(element); ancestor; ancestor = parentOf(ancestor)) {
+        if (matchesComplex(ancestor, complex, index - 1)) return true;
+      }
+      return false;
+  }
+}
+
+/**
+ * Parse a whole page into a fresh document: head content goes to head, the rest to body
+ */
+function createDocument(html = '') {
+  const document = new Document();
+  const headMatch = /<head[^>]*>([\s\S]*?)<\/head>/i.exec(html);
+  const bodyMatch = /<body([^>]*)>([\s\S]*)<\/body>/i.exec(html);
+  if (headMatch) {
+    parseHtml(headMatch[1], document).forEach(node => document.head.appendChild(node));
+    const title = document.head.querySelector('title');
+    if (title) document.title = title.textContent;
+  }
+  parseHtml(bodyMatch ? bodyMatch[2] : html, document).forEach(node => document.body.appendChild(node));
+  return document;
+}
+
+module.exports = {
+  stats,
+  createDocument,
+  parseHtml,
+  cssEscape,
+  classes: { Event, MouseEvent, PointerEvent, KeyboardEvent, EventTarget, MutationObserver, Node, Element, Text, Document, ShadowRoot }
+};
@@ -0,0 +1,299 @@
+// Loads the content scripts into a fake Meet page under plain node
+// Time is virtual: timers only fire from advance(), Date.now() follows the clock.
+// The background worker is a handler per message type, see createPage's options.
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const dom = require('./dom');
+
+const ROOT = path.join(__dirname, '..');
+const CONTENT_SCRIPTS = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8')).content_scripts[0].js;
+
+/**
+ * Virtual time for setTimeout/setInterval and Date
+ */
+function createClock(start = Date.UTC(2026, 0, 12, 10, 0, 0)) {
+  let now = start;
+  let nextId = 1;
+  const timers = new Map();
+
+  function schedule(callback, delay, args, interval) {
+    const id = nextId++;
+    const wait = Math.max(0, Number(delay) || 0);
+    timers.set(id, { callback, args, at: now + wait, interval: interval ? Math.max(1, wait) : null });
+    return id;
+  }
+
+  const FakeDate = class extends Date {
+    constructor(...args) {
+      super(...(args.length > 0 ? args : [now]));
+    }
+
+    static now() {
+      return now;
+    }
+  };
+
+  return {
+    Date: FakeDate,
+    now: () => now,
+    setTimeout: (callback, delay, ...args) => schedule(callback, delay, args, false),
+    setInterval: (callback, delay, ...args) => schedule(callback, delay, args, true),
+    clearTimeout: id => timers.delete(id),
+    clearInterval: id => timers.delete(id),
+
+    /**
+     * Run every timer due within ms, in order, letting promises settle in between
+     */
+    async advance(ms) {
+      const end = now + ms;
+      await settle();
+      for (;;) {
+        let nextId = null;
+        let next = null;
+        timers.forEach((timer, id) => {
+          if (timer.at <= end && (!next || timer.at < next.at)) {
+            next = timer;
+            nextId = id;
+          }
+        });
+        if (!next) break;
+
+        now = Math.max(now, next.at);
+        if (next.interval) {
+          next.at += next.interval;
+        } else {
+          timers.delete(nextId);
+        }
+        next.callback(...next.args);
+        await settle();
+      }
+      now = end;
+      await settle();
+    }
+  };
+}
+
+/**
+ * Let pending promise chains and mutation observer deliveries run
+ */
+async function settle() {
+  for (let i = 0; i < 20; i++) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+}
+
+/**
+ * chrome.* as the content scripts use it, backed by in-memory storage
+ * onMessage(message) plays the background worker; its return value is the response
+ */
+function createChrome({ clock, sync = {}, onMessage }) {
+  const changeListeners = [];
+  const messageListeners = [];
+
+  function createArea(areaName, data) {
+    return {
+      data,
+      get(keys, callback) {
+        let result;
+        if (keys === null || keys === undefined) {
+          result = { ...data };
+        } else {
+          const list = typeof keys === 'string' ? [keys] : Array.isArray(keys) ? keys : Object.keys(keys);
+          result = {};
+          list.forEach((key) => {
+            if (key in data) {
+              result[key] = data[key];
+            } else if (!Array.isArray(keys) && typeof keys === 'object') {
+              result[key] = keys[key];
+            }
+          });
+        }
+        const copy = JSON.parse(JSON.stringify(result));
+        Promise.resolve().then(() => callback && callback(copy));
+      },
+      set(items, callback) {
+        const changes = {};
+        Object.entries(items).forEach(([key, value]) => {
+          changes[key] = { oldValue: data[key], newValue: value };
+          data[key] = JSON.parse(JSON.stringify(value));
+        });
+        Promise.resolve().then(() => {
+          if (callback) callback();
+          changeListeners.forEach(listener => listener(changes, areaName));
+        });
+      },
+      remove(keys, callback) {
+        (Array.isArray(keys) ? keys : [keys]).forEach(key => delete data[key]);
+        Promise.resolve().then(() => callback && callback());
+      }
+    };
+  }
+
+  const sent = [];
+  const chrome = {
+    runtime: {
+      lastError: undefined,
+      getManifest: () => ({ version: '0.0.0', update_url: 'https://example.invalid/' }),
+      getURL: file => path.join(ROOT, file),
+      sendMessage(message, callback) {
+        sent.push({ at: clock.now(), message });
+        Promise.resolve()
+          .then(() => (onMessage ? onMessage(message) : undefined))
+          .then((response) => {
+            if (callback) callback(response);
+          });
+      },
+      onMessage: { addListener: listener => messageListeners.push(listener) }
+    },
+    storage: {
+      sync: createArea('sync', sync),
+      local: createArea('local', {}),
+      session: createArea('session', {}),
+      managed: createArea('managed', {}),
+      onChanged: { addListener: listener => changeListeners.push(listener) }
+    },
+    i18n: {
+      getMessage: () => '',
+      getUILanguage: () => 'en'
+    }
+  };
+
+  return {
+    chrome,
+    sent,
+
+    /**
+     * Deliver a message the way the background worker would, resolves the response
+     */
+    send(message) {
+      return new Promise((resolve) => {
+        const handled = messageListeners.some(listener => listener(message, {}, resolve) === true);
+        if (!handled) resolve(undefined);
+      });
+    }
+  };
+}
+
+/**
+ * content.js with some of its CONFIG values replaced, e.g. { STEP_MISS_TTL: 0 }
+ */
+function configure(source, config) {
+  return Object.entries(config).reduce((result, [key, value]) => {
+    const pattern = new RegExp(`^(\\s+${key}: )[^,\\n]+`, 'm');
+    if (!pattern.test(result)) throw new Error(`content.js has no CONFIG.${key}`);
+    return result.replace(pattern, `$1${JSON.stringify(value)}`);
+  }, source);
+}
+
+/**
+ * A Meet tab with the extension's content scripts loaded
+ * options: html (page body), url, settings (chrome.storage.sync), onMessage
+ * (background responses by message type, defaults grant every claim), config
+ * (CONFIG values to override in content.js)
+ */
+function createPage({ html, url = 'https://meet.google.com/abc-defg-hij', settings = {}, onMessage = {}, config = {} } = {}) {
+  const clock = createClock();
+  const document = dom.createDocument(html);
+  const location = { href: url };
+  const logs = [];
+
+  const responses = {
+    claimMeeting: () => ({ owner: true }),
+    claimAnnouncement: () => ({ first: true }),
+    getShortcut: () => ({ shortcut: '' }),
+    ...onMessage
+  };
+  const messages = createChrome({
+    clock,
+    sync: { ...settings },
+    onMessage: message => (responses[message.type] ? responses[message.type](message) : undefined)
+  });
+
+  const windowListeners = new dom.classes.EventTarget();
+  const console = {
+    debug: (...args) => logs.push(['debug', ...args]),
+    log: (...args) => logs.push(['info', ...args]),
+    info: (...args) => logs.push(['info', ...args]),
+    warn: (...args) => logs.push(['warn', ...args]),
+    error: (...args) => logs.push(['error', ...args])
+  };
+
+  const context = {
+    ...dom.classes,
+    console,
+    document,
+    location,
+    chrome: messages.chrome,
+    navigator: { language: 'en-US', userAgent: 'node' },
+    CSS: { escape: dom.cssEscape },
+    Date: clock.Date,
+    performance: { now: () => clock.now() },
+    setTimeout: clock.setTimeout,
+    setInterval: clock.setInterval,
+    clearTimeout: clock.clearTimeout,
+    clearInterval: clock.clearInterval,
+    requestAnimationFrame: callback => clock.setTimeout(() => callback(clock.now()), 16),
+    cancelAnimationFrame: id => clock.clearTimeout(id),
+    queueMicrotask,
+    innerWidth: 1280,
+    innerHeight: 800,
+    getComputedStyle: element => ({
+      display: /display:\s*none/.test(element.style.cssText || '') ? 'none' : 'block',
+      visibility: 'visible',
+      opacity: '1'
+    }),
+    addEventListener: (type, listener) => windowListeners.addEventListener(type, listener),
+    removeEventListener: (type, listener) => windowListeners.removeEventListener(type, listener),
+    fetch: file => Promise.resolve({ json: () => Promise.resolve(JSON.parse(fs.readFileSync(file, 'utf8'))) })
+  };
+  context.window = context;
+  context.globalThis = context;
+  vm.createContext(context);
+
+  return {
+    clock,
+    document,
+    logs,
+    sent: messages.sent,
+    send: messages.send,
+
+    /**
+     * Run the manifest's content scripts in order, then let init finish
+     */
+    async load() {
+      CONTENT_SCRIPTS.forEach((file) => {
+        const source = fs.readFileSync(path.join(ROOT, file), 'utf8');
+        vm.runInContext(file === 'content.js' ? configure(source, config) : source, context, { filename: file });
+      });
+      await settle();
+    },
+
+    /**
+     * Event codes the logger wrote, in order, e.g. "room-changed"
+     */
+    events() {
+      return logs.map(([, line]) => /\] \[([a-z-]+)\]/.exec(String(line)))
+        .filter(Boolean)
+        .map(match => match[1]);
+    },
+
+    /**
+     * Add HTML at the end of parent (default body), returns the first new element
+     */
+    insert(html, parent = document.body) {
+      const nodes = dom.parseHtml(html, document);
+      nodes.forEach(node => parent.appendChild(node));
+      return nodes.find(node => node.nodeType === 1) || null;
+    },
+
+    navigate(href) {
+      location.href = href;
+      windowListeners.dispatchEvent(new dom.classes.Event('popstate'));
+    }
+  };
+}
+
+module.exports = { createPage, createClock, settle, ROOT };
@@ -0,0 +1,45 @@
+// Transcription indicator detection: Meet's indicator counts, chat text doesn't
+// Usage: node tests/indicator.test.js (or node --test tests/)
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage } = require('./harness');
+
+const BALLOON_HOST_ID = 'meet-transcription-reminder-host';
+
+const CONTROLS_HTML = `
+  <div class="controls">
+    <div data-is-tooltip-wrapper="true"><button jsaction="click:gemini" aria-label="Take notes with Gemini"><i class="google-material-icons">pen_spark</i></button></div>
+    <div><button jsaction="click:leave" aria-label="Leave call"><i class="google-material-icons">call_end</i></button></div>
+  </div>`;
+
+async function joinMeeting(extraHtml) {
+  const page = createPage({ html: CONTROLS_HTML + extraHtml, settings: { logLevel: 'debug' } });
+  await page.load();
+  await page.clock.advance(2000);
+  return page;
+}
+
+test('chat messages quoting the indicator text do not count as running', async () => {
+  const page = await joinMeeting(`
+    <div aria-live="polite" class="chat">
+      <div data-sender-id="spaces/AAQA/devices/7"><div>Heads-up: Gemini is taking notes…</div></div>
+      <div data-sender-id="spaces/AAQA/devices/8"><div>Aviso: Gemini está tomando notas. Il prend des notes ? メモを作成しています</div></div>
+    </div>
+    <div role="status">Gemini is transcribing your thoughts, says Ana</div>`);
+
+  const { status } = await page.send({ type: 'getStatus' });
+  assert.notEqual(status, 'running');
+  assert.ok(!page.events().includes('already-running'));
+  assert.ok(page.document.getElementById(BALLOON_HOST_ID), 'reminder shown');
+});
+
+test("Meet's labelled indicator counts as running", async () => {
+  const page = await joinMeeting('<div role="status" aria-label="Gemini is taking notes"></div>');
+
+  const { status } = await page.send({ type: 'getStatus' });
+  assert.equal(status, 'running');
+  assert.ok(page.events().includes('already-running'));
+  assert.equal(page.document.getElementById(BALLOON_HOST_ID), null, 'no reminder');
+});
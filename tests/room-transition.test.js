@@ -0,0 +1,121 @@
+// Breakout room transitions and re-arming detection after the call ends
+// Usage: node tests/room-transition.test.js (or node --test tests/)
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage } = require('./harness');
+
+const CODE = 'abc-defg-hij';
+const ROOM_POLL = 2000; // CONFIG.ROOM_POLL_INTERVAL
+const MONITOR_TICK = 5000; // CONFIG.MONITOR_INTERVAL
+const BALLOON_HOST_ID = 'meet-transcription-reminder-host';
+const TOAST_HOST_ID = 'meet-transcription-reminder-toast-host';
+
+const MEETING_HTML = `
+  <div class="controls">
+    <div data-is-tooltip-wrapper="true"><button jsaction="click:gemini" aria-label="Take notes with Gemini"><i class="google-material-icons">pen_spark</i></button></div>
+    <div class="leave"><button jsaction="click:leave" aria-label="Leave call"><i class="google-material-icons">call_end</i></button></div>
+  </div>`;
+
+const ROOM_HTML = '<div class="room-label" data-breakout-room-name="Room 1">Room 1</div>';
+
+/**
+ * A joined call with the trigger on screen, past the first detection and room poll
+ */
+async function joinMeeting(settings = {}) {
+  const page = createPage({ html: MEETING_HTML, settings: { logLevel: 'debug', ...settings } });
+  await page.load();
+  await page.clock.advance(ROOM_POLL);
+  return page;
+}
+
+function claims(page) {
+  return page.sent.filter(({ message }) => message.type === 'claimMeeting').map(({ message }) => message.code);
+}
+
+function count(page, event) {
+  return page.events().filter(code => code === event).length;
+}
+
+function hasBalloon(page) {
+  return page.document.getElementById(BALLOON_HOST_ID) !== null;
+}
+
+test('main call, breakout room and back each count as their own meeting', async () => {
+  const page = await joinMeeting();
+  assert.deepEqual(claims(page), [CODE]);
+  assert.ok(hasBalloon(page), 'reminder shown in the main call');
+
+  const label = page.insert(ROOM_HTML);
+  await page.clock.advance(ROOM_POLL);
+  assert.equal(count(page, 'room-changed'), 0, 'one poll is not enough to move');
+
+  await page.clock.advance(ROOM_POLL);
+  assert.equal(count(page, 'room-changed'), 1);
+  assert.ok(!hasBalloon(page), 'main call reminder removed on the move');
+
+  await page.clock.advance(ROOM_POLL * 2);
+  assert.deepEqual(claims(page), [CODE, `${CODE}/Room 1`]);
+  assert.ok(hasBalloon(page), 'reminder shown again for the room');
+
+  label.remove();
+  await page.clock.advance(ROOM_POLL * 2);
+  assert.equal(count(page, 'room-changed'), 2);
+
+  await page.clock.advance(ROOM_POLL * 2);
+  assert.deepEqual(claims(page), [CODE, `${CODE}/Room 1`, CODE]);
+  assert.ok(hasBalloon(page), 'reminder shown again back in the main call');
+});
+
+test('a room label that does not hold for two polls is ignored', async () => {
+  const page = await joinMeeting();
+
+  const label = page.insert(ROOM_HTML);
+  await page.clock.advance(ROOM_POLL);
+  label.remove();
+  await page.clock.advance(ROOM_POLL * 3);
+
+  assert.equal(count(page, 'room-changed'), 0);
+  assert.deepEqual(claims(page), [CODE]);
+  assert.ok(hasBalloon(page), 'reminder left alone');
+});
+
+test('the meeting monitor re-arms detection after the call ends', async () => {
+  const page = await joinMeeting();
+  const leave = page.document.querySelector('.leave');
+
+  leave.remove();
+  await page.clock.advance(MONITOR_TICK);
+  assert.equal(count(page, 'meeting-left'), 1);
+  assert.ok(!hasBalloon(page), 'reminder removed with the call');
+
+  const ended = page.sent.filter(({ message }) => message.type === 'saveHistoryEntry' && message.entry.endedAt);
+  assert.equal(ended.length, 1, 'call end recorded in history');
+
+  // Rejoining on the same URL, nothing navigates
+  page.document.querySelector('.controls').appendChild(leave);
+  await page.clock.advance(MONITOR_TICK);
+  assert.deepEqual(claims(page), [CODE, CODE]);
+  assert.ok(hasBalloon(page), 'reminder shown again after the rejoin');
+});
+
+test('moving rooms during the auto-start countdown does not start in the new room', async () => {
+  const page = await joinMeeting({ autoStart: true, autoStartCountdown: 5 });
+  assert.ok(page.document.getElementById(TOAST_HOST_ID), 'countdown running in the main call');
+
+  let clicks = 0;
+  page.document.querySelector('[jsaction="click:gemini"]').addEventListener('click', () => clicks++);
+
+  page.insert(ROOM_HTML);
+  await page.clock.advance(ROOM_POLL * 2);
+  assert.equal(count(page, 'room-changed'), 1);
+  assert.equal(count(page, 'countdown-aborted'), 1);
+
+  // Past where the main call's countdown would have run out
+  await page.clock.advance(3000);
+  assert.equal(clicks, 0, 'nothing clicked for the main call');
+  assert.equal(count(page, 'auto-start'), 0);
+  assert.deepEqual(claims(page), [CODE, `${CODE}/Room 1`]);
+  assert.ok(page.document.getElementById(TOAST_HOST_ID), 'the room gets a countdown of its own');
+});
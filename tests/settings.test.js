@@ -0,0 +1,96 @@
+// Settings rules: what an enforced autoStart overrides, what an export leaves out, and the feature toggles
+// Usage: node tests/settings.test.js (or node --test tests/)
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { ROOT } = require('./harness');
+
+const context = { console };
+vm.createContext(context);
+vm.runInContext(fs.readFileSync(path.join(ROOT, 'settings.js'), 'utf8'), context, { filename: 'settings.js' });
+const { MeetSettings } = context;
+const { MODES } = MeetSettings;
+
+const MEETING = { code: 'abc-defg-hij', title: 'Weekly 1:1' };
+const MONDAY_NOON = new Date(2026, 0, 12, 12, 0);
+
+/**
+ * Settings as load() returns them: the user's, with the policy applied on top
+ */
+function withPolicy(user, policy) {
+  const settings = { ...MeetSettings.normalize(user), ...policy };
+  Object.defineProperty(settings, 'policy', { value: policy });
+  return settings;
+}
+
+const userRule = action => ({ field: 'title', pattern: '*1:1*', action });
+const userWindow = mode => ({ days: [1], start: '09:00', end: '17:00', mode });
+
+function modeOf(settings) {
+  return MeetSettings.resolveMeetingMode(settings, MEETING, MONDAY_NOON).mode;
+}
+
+test('autoStart forced on overrides the user\'s rules and schedule', () => {
+  const policy = { autoStart: true };
+  assert.equal(modeOf(withPolicy({ rules: [userRule(MODES.NEVER)] }, policy)), MODES.AUTO_START);
+  assert.equal(modeOf(withPolicy({ rules: [userRule(MODES.REMIND)] }, policy)), MODES.AUTO_START);
+  assert.equal(modeOf(withPolicy({ schedule: [userWindow(MODES.NEVER)] }, policy)), MODES.AUTO_START);
+  assert.equal(modeOf(withPolicy({}, policy)), MODES.AUTO_START);
+});
+
+test('autoStart forced off turns the user\'s auto-start into a reminder', () => {
+  const policy = { autoStart: false };
+  assert.equal(modeOf(withPolicy({ rules: [userRule(MODES.AUTO_START)] }, policy)), MODES.REMIND);
+  assert.equal(modeOf(withPolicy({ schedule: [userWindow(MODES.AUTO_START)] }, policy)), MODES.REMIND);
+  assert.equal(modeOf(withPolicy({ rules: [userRule(MODES.NEVER)] }, policy)), MODES.NEVER);
+  assert.equal(modeOf(withPolicy({ autoStart: true }, policy)), MODES.REMIND);
+});
+
+test('rules and schedule set by the policy apply as given', () => {
+  const rules = MeetSettings.normalize({ rules: [userRule(MODES.NEVER)] }).rules;
+  assert.equal(modeOf(withPolicy({}, { autoStart: true, rules })), MODES.NEVER);
+
+  const schedule = MeetSettings.normalize({ schedule: [userWindow(MODES.AUTO_START)] }).schedule;
+  assert.equal(modeOf(withPolicy({}, { autoStart: false, schedule })), MODES.AUTO_START);
+});
+
+test('without a policy the user\'s choices stand', () => {
+  assert.equal(modeOf(withPolicy({ autoStart: true, rules: [userRule(MODES.NEVER)] }, {})), MODES.NEVER);
+  assert.equal(modeOf(withPolicy({ schedule: [userWindow(MODES.REMIND)] }, {})), MODES.REMIND);
+});
+
+test('an export carries the user\'s settings, not the enforced ones', async () => {
+  const area = data => ({ get: (keys, callback) => callback(JSON.parse(JSON.stringify(data))) });
+  context.chrome = {
+    runtime: { getManifest: () => ({ update_url: 'https://example.invalid/' }) },
+    storage: {
+      sync: area({ autoStart: false, rules: [userRule(MODES.NEVER)] }),
+      managed: area({ autoStart: true, rules: [] })
+    }
+  };
+
+  const loaded = await MeetSettings.load();
+  assert.equal(loaded.autoStart, true, 'policy applied when running');
+
+  const { settings } = MeetSettings.exportSettings(await MeetSettings.loadUserSettings());
+  assert.equal(settings.autoStart, false);
+  assert.equal(settings.rules.length, 1);
+  assert.equal(settings.rules[0].action, MODES.NEVER);
+});
+
+test('notes and transcript both off is kept as stored, not rewritten', () => {
+  const stored = MeetSettings.normalize({ featureNotes: false, featureTranscript: false, featureRecording: true });
+  assert.equal(stored.featureNotes, false);
+  assert.equal(stored.featureTranscript, false);
+  assert.equal(MeetSettings.hasVerifiableFeature(stored), false);
+
+  // Only hand-edited storage gets here, the activation still needs an indicator to verify
+  assert.deepEqual({ ...MeetSettings.enabledFeatures(stored) }, { notes: true, transcript: true, recording: true });
+
+  assert.throws(() => MeetSettings.parseExport(MeetSettings.exportSettings(stored)), /both off/);
+  assert.equal(MeetSettings.parseExport(MeetSettings.exportSettings({ ...stored, featureTranscript: true })).featureNotes, false);
+});